@@ -0,0 +1,193 @@
+/**
+ * Sleeper API Client (page side)
+ *
+ * Stands in for SleeperAPI in draft tabs and forwards calls to the background
+ * worker (background.js) through PageBridge, so all tabs share one players
+ * download, one set of caches and one rate limiter. Static helpers
+ * (parseDraftId, summarizeDraft, formatSeason, ...) stay on SleeperAPI.
+ *
+ * @class SleeperAPIClient
+ */
+class SleeperAPIClient {
+  /**
+   * Creates a client and starts listening for refreshed players.
+   * Use SleeperAPIClient.connect() to get one that is known to work.
+   *
+   * @constructor
+   */
+  constructor() {
+    this.baseURL = 'background worker';
+    this.connected = true;
+    this.refreshListeners = [];
+    this.cacheInfo = null; // last getPlayersCacheInfo from the worker
+    this.nflState = null;
+
+    PageBridge.onEvent('sleeper-players-refreshed', () => {
+      if (this.connected) this.pullRefreshedPlayers();
+    });
+  }
+
+  /**
+   * Connect to the background worker.
+   *
+   * @param {number} [timeout=1000] - How long to wait for the worker, in ms
+   * @static
+   * @async
+   * @returns {Promise<SleeperAPIClient|null>} Connected client, or null if the bridge or worker didn't answer
+   */
+  static async connect(timeout = 1000) {
+    const client = new SleeperAPIClient();
+    try {
+      await client.call('ping', [], timeout);
+      return client;
+    } catch (error) {
+      console.warn('⚠️ Background worker not reachable, using in-page API:', error.message);
+      client.disconnect();
+      return null;
+    }
+  }
+
+  /**
+   * Stop reacting to refreshed players.
+   *
+   * @returns {void}
+   */
+  disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * Call a SleeperAPI method in the background worker.
+   *
+   * @param {string} method - Method name
+   * @param {Array} [args=[]] - Arguments (must survive structured cloning)
+   * @param {number} [timeout=0] - Give up after this many ms; 0 waits for the worker's own timeouts
+   * @async
+   * @returns {Promise<*>} Method result
+   * @throws {SleeperAPIError} Error from the worker, or 'timeout' if it didn't answer in time
+   */
+  async call(method, args = [], timeout = 0) {
+    let response;
+    try {
+      response = await PageBridge.send({ type: 'sleeper-api', method, args }, timeout);
+    } catch (error) {
+      throw new SleeperAPIError('timeout', `Background worker didn't answer ${method}: ${error.message}`, { cause: error });
+    }
+
+    if (response.ok) return response.result;
+
+    const error = response.error || {};
+    throw new SleeperAPIError(error.type || 'request', error.message || 'Background worker error', { status: error.status });
+  }
+
+  /**
+   * Fetch the players the worker just refreshed and hand them to listeners.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async pullRefreshedPlayers() {
+    try {
+      const players = await this.getPlayers();
+      this.refreshListeners.forEach(listener => listener(players));
+    } catch (error) {
+      console.warn('⚠️ Could not load refreshed players from the background worker:', error.message);
+    }
+  }
+
+  /**
+   * Get all NFL players from the worker (its cache, IndexedDB copy or a download).
+   *
+   * @param {boolean} [forceRefresh=false] - Whether the worker should download fresh data
+   * @async
+   * @returns {Promise<Object>} Object containing all NFL players indexed by player ID
+   */
+  async getPlayers(forceRefresh = false) {
+    const players = await this.call('getPlayers', [forceRefresh]);
+    await this.updateCacheInfo();
+    return players;
+  }
+
+  /**
+   * Refresh the local copy of the worker's cache info.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async updateCacheInfo() {
+    try {
+      this.cacheInfo = await this.call('getPlayersCacheInfo');
+    } catch (error) {
+      console.warn('⚠️ Could not read player cache info:', error.message);
+    }
+  }
+
+  /**
+   * Describe the players payload, as of the last call to the worker.
+   * Synchronous like SleeperAPI's, so the age is recomputed from the timestamp.
+   *
+   * @returns {Object|null} { count, timestamp, age, source, stale, refreshing, predatesLeagueYear, lastError } or null
+   */
+  getPlayersCacheInfo() {
+    if (!this.cacheInfo) return null;
+    return { ...this.cacheInfo, age: Date.now() - this.cacheInfo.timestamp };
+  }
+
+  /**
+   * Register a callback for players refreshed in the background.
+   *
+   * @param {Function} listener - Called with the fresh players object
+   */
+  onPlayersRefreshed(listener) {
+    this.refreshListeners.push(listener);
+  }
+
+  /**
+   * Set the worker's refresh policy (shared by all tabs).
+   *
+   * @param {number} hours - Maximum age in hours; 0 means refresh only when asked
+   */
+  setRefreshPolicy(hours) {
+    this.call('setRefreshPolicy', [hours])
+      .then(() => this.updateCacheInfo())
+      .catch(error => console.warn('⚠️ Could not set refresh policy:', error.message));
+  }
+
+  /**
+   * Fetch the current NFL state from the worker and keep it for callers.
+   *
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Object>} NFL state object
+   */
+  async getNflState(forceRefresh = false) {
+    this.nflState = await this.call('getNflState', [forceRefresh]);
+    // predatesLeagueYear depends on the state
+    await this.updateCacheInfo();
+    return this.nflState;
+  }
+}
+
+// The remaining methods forward as-is; see SleeperAPI for their parameters and results
+[
+  'getDraft',
+  'getDraftPicks',
+  'getDraftTradedPicks',
+  'getDraftContext',
+  'getUser',
+  'getLeague',
+  'getLeagueRosters',
+  'getLeagueUsers',
+  'getUserLeagues',
+  'getLeagueContext',
+  'getTrendingPlayers'
+].forEach(method => {
+  SleeperAPIClient.prototype[method] = function(...args) {
+    return this.call(method, args);
+  };
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = SleeperAPIClient;
+}
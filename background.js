@@ -0,0 +1,139 @@
+/**
+ * Background Service Worker
+ *
+ * Owns Sleeper API traffic for every open draft tab: one SleeperAPI instance
+ * holds the players payload (backed by IndexedDB), the draft/league/state
+ * caches and the rate limiter, so tabs share downloads instead of each
+ * fetching their own copy.
+ *
+ * Tabs reach it through bridge.js (content scripts in `world: MAIN` can't use
+ * chrome.runtime) with messages of the form
+ *   { type: 'sleeper-api', method, args }
+ * and get back { ok: true, result } or { ok: false, error: { type, message, status } }.
+ * When a background refresh downloads new players, every tab that has talked
+ * to the worker gets { type: 'sleeper-players-refreshed' }.
+ */
+importScripts('players-db.js', 'sleeper-api.js');
+
+const api = SleeperAPI.getInstance();
+
+// Methods tabs may call; anything else is rejected
+const allowedMethods = [
+  'ping',
+  'getPlayers',
+  'getPlayersCacheInfo',
+  'setRefreshPolicy',
+  'getNflState',
+  'getDraft',
+  'getDraftPicks',
+  'getDraftTradedPicks',
+  'getDraftContext',
+  'getUser',
+  'getLeague',
+  'getLeagueRosters',
+  'getLeagueUsers',
+  'getUserLeagues',
+  'getLeagueContext',
+  'getTrendingPlayers'
+];
+
+// Tabs to tell about refreshed players. Chrome stops idle workers, so the ids
+// are kept in session storage and reloaded when the worker starts again.
+const clientTabsKey = 'sleeper-helper-client-tabs';
+const clientTabs = chrome.storage.session.get(clientTabsKey)
+  .then(stored => new Set(stored[clientTabsKey] || []))
+  .catch(error => {
+    console.warn('⚠️ Could not load client tabs:', error.message);
+    return new Set();
+  });
+
+/**
+ * Add or remove a client tab and save the list.
+ *
+ * @param {number} tabId - Tab id
+ * @param {boolean} present - Whether the tab should be in the list
+ * @returns {Promise<void>}
+ */
+const updateClientTab = async function(tabId, present) {
+  const tabs = await clientTabs;
+  if (tabs.has(tabId) === present) return;
+
+  if (present) {
+    tabs.add(tabId);
+  } else {
+    tabs.delete(tabId);
+  }
+
+  try {
+    await chrome.storage.session.set({ [clientTabsKey]: [...tabs] });
+  } catch (error) {
+    console.warn('⚠️ Could not save client tabs:', error.message);
+  }
+};
+
+/**
+ * Turn an error into something that survives message passing.
+ *
+ * @param {Error|Object|null} error - Error to serialize
+ * @returns {Object|null} { type, message, status }
+ */
+const serializeError = function(error) {
+  if (!error) return null;
+  return {
+    type: error.type || null,
+    message: error.message || String(error),
+    status: error.status || null
+  };
+};
+
+/**
+ * Run one API call for a tab.
+ *
+ * @param {string} method - SleeperAPI method name
+ * @param {Array} args - Arguments
+ * @returns {Promise<*>} Method result, made safe for message passing
+ */
+const handleCall = async function(method, args) {
+  if (method === 'ping') return 'pong';
+
+  const result = await api[method](...args);
+
+  // The last download error is an Error instance, which doesn't survive structured cloning
+  if (method === 'getPlayersCacheInfo' && result) {
+    return { ...result, lastError: serializeError(result.lastError) };
+  }
+  return result;
+};
+
+api.onPlayersRefreshed(async () => {
+  const tabs = await clientTabs;
+  tabs.forEach(tabId => {
+    chrome.tabs.sendMessage(tabId, { type: 'sleeper-players-refreshed' }).catch(() => {
+      // Tab closed or navigated away
+      updateClientTab(tabId, false);
+    });
+  });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'sleeper-api') return false;
+
+  if (!allowedMethods.includes(message.method)) {
+    sendResponse({ ok: false, error: { type: 'request', message: `Unknown method: ${message.method}` } });
+    return false;
+  }
+
+  if (sender.tab && sender.tab.id !== undefined) {
+    updateClientTab(sender.tab.id, true);
+  }
+
+  handleCall(message.method, message.args || [])
+    .then(result => sendResponse({ ok: true, result }))
+    .catch(error => {
+      console.warn(`⚠️ ${message.method} failed for a tab:`, error.message);
+      sendResponse({ ok: false, error: serializeError(error) });
+    });
+
+  // Keep the channel open for the async response
+  return true;
+});
@@ -0,0 +1,88 @@
+/**
+ * Page Bridge Client
+ *
+ * Page-side end of bridge.js. `world: MAIN` scripts can't use chrome.*, so
+ * requests are posted to the isolated-world bridge, which answers them
+ * (chrome.storage) or relays them to the background worker (API calls).
+ * Shared by SleeperAPIClient and ExtensionStorage.
+ *
+ * Requests:  { source: 'sleeper-helper-page', id, message }
+ * Responses: { source: 'sleeper-helper-bridge', id, response: { ok, result } | { ok: false, error } }
+ * Events:    { source: 'sleeper-helper-bridge', event, detail }
+ */
+const PageBridge = (function() {
+  const pageSource = 'sleeper-helper-page';
+  const bridgeSource = 'sleeper-helper-bridge';
+
+  const pending = new Map(); // request id -> { resolve, reject, timer }
+  const eventListeners = new Map(); // event type -> [listener]
+  let nextId = 1;
+
+  const handleMessage = function(event) {
+    const data = event.data;
+    if (event.source !== window || !data || data.source !== bridgeSource) return;
+
+    if (data.event) {
+      (eventListeners.get(data.event) || []).forEach(listener => listener(data.detail));
+      return;
+    }
+
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    pending.delete(data.id);
+    clearTimeout(request.timer);
+    request.resolve(data.response || { ok: false, error: { message: 'Empty response from bridge' } });
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('message', handleMessage);
+  }
+
+  return {
+    /**
+     * Send a message through the bridge.
+     *
+     * @param {Object} message - Message with a `type` ('sleeper-api', 'sleeper-storage', ...)
+     * @param {number} [timeout=0] - Reject after this many ms; 0 waits indefinitely
+     * @returns {Promise<Object>} The response: { ok: true, result } or { ok: false, error: { type, message, status } }
+     * @throws {Error} If no response arrives within the timeout (bridge not loaded)
+     */
+    send: function(message, timeout = 0) {
+      const id = `${Date.now()}-${nextId++}`;
+
+      return new Promise((resolve, reject) => {
+        const timer = timeout > 0
+          ? setTimeout(() => {
+            pending.delete(id);
+            reject(new Error(`No answer from the extension bridge within ${timeout}ms`));
+          }, timeout)
+          : null;
+
+        pending.set(id, { resolve, reject, timer });
+        window.postMessage({ source: pageSource, id, message }, window.location.origin);
+      });
+    },
+
+    /**
+     * Listen for events pushed by the bridge ('sleeper-players-refreshed',
+     * 'sleeper-storage-changed', ...).
+     *
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event detail
+     */
+    onEvent: function(type, listener) {
+      if (!eventListeners.has(type)) eventListeners.set(type, []);
+      eventListeners.get(type).push(listener);
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = PageBridge;
+}
+
+if (typeof window !== 'undefined') {
+  window.PageBridge = PageBridge;
+}
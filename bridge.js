@@ -0,0 +1,87 @@
+/**
+ * Page Bridge
+ *
+ * Runs in the extension's isolated world, next to the `world: MAIN` content
+ * scripts (see bridge-client.js for the page side), and gives them what only
+ * the extension can reach:
+ * - storage requests { type: 'sleeper-storage', op: 'get'|'set'|'remove', area: 'sync'|'local', keys, items }
+ *   are answered here from chrome.storage, for the helper's own keys only
+ *   (any script on the page can post these messages)
+ * - everything else (API calls) is relayed to the background worker
+ * Responses are posted back as { source: 'sleeper-helper-bridge', id, response };
+ * worker messages and chrome.storage changes are posted as
+ * { source: 'sleeper-helper-bridge', event, detail }.
+ */
+(function() {
+  const pageSource = 'sleeper-helper-page';
+  const bridgeSource = 'sleeper-helper-bridge';
+
+  const post = function(data) {
+    window.postMessage({ source: bridgeSource, ...data }, window.location.origin);
+  };
+
+  // Keys the page may read and write, and the area each lives in
+  const storageKeys = {
+    'sleeper-helper-settings': 'sync',
+    'sleeper-helper-aliases': 'local',
+    'sleeper-helper-queue-history': 'local'
+  };
+
+  const checkKeys = function(area, keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0 || list.some(key => storageKeys[key] !== area)) {
+      throw new Error(`Storage access denied: ${list.join(', ')} in ${area}`);
+    }
+    return list;
+  };
+
+  const handleStorage = async function({ op, area, keys, items }) {
+    const storage = area === 'sync' ? chrome.storage.sync : chrome.storage.local;
+    if (op === 'get') return await storage.get(checkKeys(area, keys));
+    if (op === 'set') {
+      checkKeys(area, Object.keys(items || {}));
+      await storage.set(items);
+      return true;
+    }
+    if (op === 'remove') {
+      await storage.remove(checkKeys(area, keys));
+      return true;
+    }
+    throw new Error(`Unknown storage operation: ${op}`);
+  };
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== pageSource) return;
+
+    const { id, message } = event.data;
+    if (message && message.type === 'sleeper-storage') {
+      handleStorage(message)
+        .then(result => post({ id, response: { ok: true, result } }))
+        .catch(error => post({ id, response: { ok: false, error: { type: 'storage', message: error.message } } }));
+      return;
+    }
+
+    chrome.runtime.sendMessage(message)
+      .then(response => post({ id, response }))
+      .catch(error => {
+        // Extension reloaded or worker unreachable
+        post({ id, response: { ok: false, error: { type: 'offline', message: `Background worker unavailable: ${error.message}` } } });
+      });
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.type) {
+      post({ event: message.type });
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const visible = {};
+    Object.keys(changes).forEach(key => {
+      if (storageKeys[key] === area) visible[key] = changes[key];
+    });
+    if (Object.keys(visible).length > 0) {
+      post({ event: 'sleeper-storage-changed', detail: { area, changes: visible } });
+    }
+  });
+})();
@@ -0,0 +1,395 @@
+/**
+ * Cheatsheet Parser
+ *
+ * Turns pasted cheatsheet text into structured entries for player matching:
+ * - Plain lists (one player name per line)
+ * - Ranking-site lines ("1. Josh Allen (BUF - QB) Bye 7") with tier headers
+ * - CSV/TSV exports with a header row (rank, name, team, position, bye, tier)
+ */
+const CheatsheetParser = (function() {
+  // Header names (lowercased, punctuation stripped) mapped to entry fields
+  const columnAliases = {
+    name: ['name', 'player', 'player name', 'playername', 'full name', 'player full name'],
+    firstName: ['first', 'first name', 'firstname'],
+    lastName: ['last', 'last name', 'lastname'],
+    team: ['team', 'tm', 'nfl team', 'pro team'],
+    position: ['pos', 'position', 'positions'],
+    rank: ['rank', 'rk', 'overall', 'ovr', 'ecr', 'overall rank', '#'],
+    tier: ['tier', 'tiers', 'tier #'],
+    bye: ['bye', 'bye week', 'byeweek']
+  };
+
+  // Team codes and alternate abbreviations come from the shared NFL team table
+  const teams = typeof NflTeams !== 'undefined' ? NflTeams : require('./nfl-teams.js');
+
+  // Alternate position labels mapped to Sleeper positions
+  const positionAliases = {
+    'DST': 'DEF', 'D/ST': 'DEF', 'D': 'DEF', 'DEF': 'DEF',
+    'PK': 'K', 'K': 'K',
+    'QB': 'QB', 'RB': 'RB', 'WR': 'WR', 'TE': 'TE'
+  };
+
+  // Injury/roster designations that ranking sites append to names
+  const statusTags = ['Q', 'O', 'D', 'IR', 'PUP', 'SUS', 'NA', 'DNR', 'COV'];
+
+  const tierHeaderPattern = /^[\s\-=*#|:]*tier\s*(\d+)\b/i;
+  const rankPrefixPattern = /^#?(\d{1,3})\s*[.):\-]?\s+/;
+  const byePattern = /\bbye(?:\s*week)?\s*[:\-]?\s*(\d{1,2})\b/i;
+  const positionRankPattern = /^(QB|RB|WR|TE|K|PK|DEF|DST)\d*$/;
+
+  const isTeamToken = function(token) {
+    return teams.isAbbreviation(token);
+  };
+
+  // Position tokens are matched case-sensitively so names like "Te" or "Wr" are left alone,
+  // and the single-letter "D" alias only counts inside explicit position columns.
+  const isPositionToken = function(token) {
+    return positionRankPattern.test(token);
+  };
+
+  const headerKey = function(cell) {
+    return cell.toLowerCase().replace(/[^a-z#\s]/g, '').replace(/\s+/g, ' ').trim();
+  };
+
+  const columnForHeader = function(cell) {
+    const key = headerKey(cell);
+    for (const column in columnAliases) {
+      if (columnAliases[column].includes(key)) {
+        return column;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Split a delimited row, honoring double-quoted cells and escaped quotes ("").
+   */
+  const splitRow = function(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (inQuotes) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+  };
+
+  // First number in a cell: "3.5" (ADP), "#12", "Tier 3"
+  const toNumber = function(value) {
+    const match = String(value || '').match(/\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  };
+
+  const toInteger = function(value) {
+    const number = toNumber(value);
+    return number === null ? null : Math.round(number);
+  };
+
+  const emptyEntry = function(raw, lineNumber) {
+    return {
+      raw,
+      lineNumber,
+      name: raw,
+      team: null,
+      position: null,
+      rank: null,
+      tier: null,
+      bye: null
+    };
+  };
+
+  /**
+   * Find the header row among the first few lines (exports often start with a title row).
+   * A header must map at least a name column (or first + last name columns).
+   */
+  const detectHeader = function(lines, delimiter) {
+    const limit = Math.min(lines.length, 5);
+
+    for (let i = 0; i < limit; i++) {
+      const cells = splitRow(lines[i], delimiter);
+      if (cells.length < 2) continue;
+
+      const columns = {};
+      cells.forEach((cell, index) => {
+        const column = columnForHeader(cell);
+        if (column && columns[column] === undefined) {
+          columns[column] = index;
+        }
+      });
+
+      const hasName = columns.name !== undefined ||
+        (columns.firstName !== undefined && columns.lastName !== undefined);
+
+      if (hasName) {
+        return { index: i, columns };
+      }
+    }
+
+    return null;
+  };
+
+  const detectDelimiter = function(lines) {
+    const sample = lines.slice(0, 5);
+    if (sample.some(line => line.includes('\t'))) return '\t';
+    if (sample.some(line => line.includes(','))) return ',';
+    return null;
+  };
+
+  /**
+   * Classify the tokens of a "(BUF - QB)" style group or a trailing suffix.
+   * Returns false if any token is not recognized, so real name parts are never dropped.
+   */
+  const readHintTokens = function(tokens, hints) {
+    const found = {};
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (/^bye$/i.test(token) && /^\d{1,2}$/.test(tokens[i + 1] || '')) {
+        found.bye = parseInt(tokens[++i], 10);
+      } else if (isTeamToken(token)) {
+        found.team = token;
+      } else if (isPositionToken(token)) {
+        found.position = token;
+      } else if (/^\d{1,2}$/.test(token)) {
+        found.bye = parseInt(token, 10);
+      } else if (/^\$\d+$/.test(token) || statusTags.includes(token) || token === 'FA') {
+        continue;
+      } else {
+        return false;
+      }
+    }
+
+    Object.assign(hints, found);
+    return true;
+  };
+
+  const splitHintTokens = function(text) {
+    return text.split(/[\s,|/\-–]+/).filter(token => token.length > 0);
+  };
+
+  return {
+    /**
+     * Normalize a team abbreviation to Sleeper's team code.
+     *
+     * @param {string} team - Team abbreviation from a cheatsheet
+     * @returns {string|null} Sleeper team code, or null for free agents/blank values
+     */
+    normalizeTeam: function(team) {
+      return teams.normalizeCode(team);
+    },
+
+    /**
+     * Normalize a position label (e.g. "WR12", "DST", "PK") to Sleeper's position.
+     *
+     * @param {string} position - Position label from a cheatsheet
+     * @returns {string|null} Sleeper position, or null if unrecognized
+     */
+    normalizePosition: function(position) {
+      const label = String(position || '').trim().toUpperCase().replace(/\d+$/, '');
+      return positionAliases[label] || null;
+    },
+
+    /**
+     * Check whether a line is a tier header such as "Tier 2" or "--- TIER 3: Elite ---".
+     *
+     * @param {string} line - A single cheatsheet line
+     * @returns {number|null} Tier number, or null if the line is not a tier header
+     */
+    parseTierHeader: function(line) {
+      const match = String(line || '').match(tierHeaderPattern);
+      return match ? parseInt(match[1], 10) : null;
+    },
+
+    /**
+     * Normalize a ranking-site line into a bare player name plus structured hints.
+     * Recognizes rank prefixes ("1.", "#1", "12)"), position-rank prefixes ("WR1"),
+     * parenthesized team/position groups ("(BUF - QB)", "[CIN, WR1]"), bye weeks
+     * ("Bye 7", "(7)"), trailing team/position tokens ("Josh Allen QB BUF"),
+     * dash/comma separated suffixes and "Last, First" ordering.
+     *
+     * @param {string} line - A single cheatsheet line
+     * @returns {Object} Object with name, team, position, rank and bye (null when absent)
+     */
+    normalizeLine: function(line) {
+      const hints = {};
+      let text = String(line || '').trim()
+        .replace(/\bD\/ST\b/gi, 'DST')
+        .replace(/\s+/g, ' ');
+
+      // Rank prefix: "1. Josh Allen", "#12 Josh Allen", "3) Josh Allen"
+      const rankMatch = text.match(rankPrefixPattern);
+      if (rankMatch) {
+        hints.rank = parseInt(rankMatch[1], 10);
+        text = text.slice(rankMatch[0].length);
+      }
+
+      // Position-rank prefix: "WR1 Ja'Marr Chase", "QB3. Jalen Hurts"
+      const prefixMatch = text.match(/^(QB|RB|WR|TE|K|PK|DEF|DST)\d+[.):]?\s+/);
+      if (prefixMatch) {
+        hints.position = prefixMatch[1];
+        text = text.slice(prefixMatch[0].length);
+      }
+
+      // Bye weeks written out anywhere on the line
+      const byeMatch = text.match(byePattern);
+      if (byeMatch) {
+        hints.bye = parseInt(byeMatch[1], 10);
+        text = text.replace(byeMatch[0], ' ');
+      }
+
+      // Parenthesized or bracketed groups: "(BUF - QB)", "[WR1]", "(7)", "(Q)"
+      text = text.replace(/[(\[]([^)\]]*)[)\]]/g, (group, contents) => {
+        return readHintTokens(splitHintTokens(contents), hints) ? ' ' : group;
+      });
+
+      // Separated suffixes: "Josh Allen - BUF - QB", "Josh Allen, QB, BUF", "Josh Allen | BUF"
+      const parts = text.split(/\s[-–|]\s|,|\|/).map(part => part.trim()).filter(part => part.length > 0);
+      let name = parts[0] || '';
+
+      if (parts.length > 1) {
+        const suffix = parts.slice(1);
+        if (readHintTokens(splitHintTokens(suffix.join(' ')), hints)) {
+          // Suffix was all hints; keep name as-is
+        } else if (parts.length === 2 && /^[A-Za-z.'\-]+$/.test(parts[1]) && !/\s/.test(parts[0])) {
+          // "Allen, Josh" ordering
+          name = `${parts[1]} ${parts[0]}`;
+        } else {
+          name = parts.join(' ');
+        }
+      }
+
+      // Trailing team, position, position-rank and bye tokens in any order:
+      // "Josh Allen QB BUF", "Ja'Marr Chase CIN WR1 10", "Ja'Marr Chase CIN (10) WR1"
+      const words = name.split(/\s+/).filter(word => word.length > 0);
+      while (words.length > 1 && readHintTokens([words[words.length - 1]], hints)) {
+        words.pop();
+      }
+      name = words.join(' ').replace(/[\s,;:\-–|]+$/, '').trim();
+
+      return {
+        name,
+        team: hints.team ? this.normalizeTeam(hints.team) : null,
+        position: hints.position ? this.normalizePosition(hints.position) : null,
+        rank: hints.rank ?? null,
+        bye: hints.bye ?? null
+      };
+    },
+
+    /**
+     * Parse pasted cheatsheet text into structured entries.
+     * Delimited text with a recognizable header row is parsed column by column;
+     * anything else is treated as one player per line, normalized with
+     * normalizeLine. Tier header lines set the tier for the lines that follow.
+     *
+     * @param {string} text - Raw textarea contents
+     * @returns {Object} Parse result with format ('csv', 'tsv' or 'list'), detected columns and entries
+     */
+    parse: function(text) {
+      const lines = String(text || '').split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+
+      const delimiter = detectDelimiter(lines);
+      const header = delimiter ? detectHeader(lines, delimiter) : null;
+
+      if (!header) {
+        const entries = [];
+        let tier = null;
+
+        lines.forEach((line, index) => {
+          const headerTier = this.parseTierHeader(line);
+          if (headerTier !== null) {
+            tier = headerTier;
+            return;
+          }
+
+          const normalized = this.normalizeLine(line);
+
+          // Skip position section headers ("QB", "WR") and lines that were all noise
+          if (!normalized.name || isPositionToken(normalized.name.toUpperCase())) return;
+
+          entries.push({
+            ...emptyEntry(line, index + 1),
+            ...normalized,
+            tier
+          });
+        });
+
+        return {
+          format: 'list',
+          columns: null,
+          entries
+        };
+      }
+
+      const { columns } = header;
+      const entries = [];
+
+      for (let i = header.index + 1; i < lines.length; i++) {
+        const cells = splitRow(lines[i], delimiter);
+        const cell = column => columns[column] !== undefined ? (cells[columns[column]] || '') : '';
+
+        let name = cell('name');
+        if (!name && columns.firstName !== undefined) {
+          name = `${cell('firstName')} ${cell('lastName')}`.trim();
+        }
+
+        // Skip blank rows and repeated header rows in multi-page exports
+        if (!name || columnForHeader(name) === 'name') continue;
+
+        // Name cells get the same cleanup as pasted lines ("Chase, Ja'Marr",
+        // "Josh Allen (BUF - QB)"); their hints fill in for missing columns
+        const normalized = this.normalizeLine(name);
+        if (!normalized.name) continue;
+
+        entries.push({
+          ...emptyEntry(lines[i], i + 1),
+          name: normalized.name,
+          team: this.normalizeTeam(cell('team')) || normalized.team,
+          position: this.normalizePosition(cell('position')) || normalized.position,
+          // Ranks stay fractional so ADP columns ("3.5", "12.1") order correctly
+          rank: toNumber(cell('rank')) ?? normalized.rank,
+          tier: toInteger(cell('tier')),
+          bye: toInteger(cell('bye')) ?? normalized.bye
+        });
+      }
+
+      return {
+        format: delimiter === '\t' ? 'tsv' : 'csv',
+        columns: Object.keys(columns),
+        entries
+      };
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = CheatsheetParser;
+}
+
+if (typeof window !== 'undefined') {
+  window.CheatsheetParser = CheatsheetParser;
+}
@@ -21,9 +21,24 @@ class SleeperDraftHelper {
     constructor() {
         this.isDebug = false;
         this.players = null;
+        this.playersError = null; // Why the player data couldn't be loaded, if it couldn't
+        this.refreshSubscribedTo = null; // API instance whose background refreshes we listen to
+        this.backgroundClient = null; // SleeperAPIClient for the background worker, when reachable
+        this.localApi = null; // In-page SleeperAPI for testing sources, or when the worker isn't reachable
         this.queueElements = new Map();
         this.initialized = false;
         this.settings = null; // Will be loaded in init
+        this.draft = null; // Draft summary for the draft room in the URL
+        this.league = null; // League summary for the draft's league
+        this.nflState = null; // Season, week and season type from /state/nfl
+        this.trending = { add: new Map(), drop: new Map() }; // player_id -> { count, rank }
+        this.trendingOptions = { lookbackHours: 24, limit: 50 };
+        this.contextUrl = null; // URL the draft and league were loaded for
+        this.pendingSync = null; // Queue sync plan waiting for confirmation
+        this.operation = null; // Running bulk queue operation: { kind, paused, cancelled }
+        this.resumeState = null; // Where a cancelled queue/clear operation stopped
+        this.queueHistory = []; // Queue snapshots taken before bulk operations, newest first
+        this.queueHistoryLimit = 10;
         
         this.log('Initializing Sleeper Draft Helper...');
         this.init();
@@ -65,6 +80,18 @@ class SleeperDraftHelper {
 
             this.log('Page ready, analyzing structure...');
             
+            // Settings, aliases and queue history live in chrome.storage, read once up front
+            await this.loadStoredData();
+            
+            // Share player data and API traffic with other tabs through the background worker
+            if (typeof SleeperAPIClient !== 'undefined') {
+                this.backgroundClient = await SleeperAPIClient.connect();
+            }
+            
+            // Point SleeperAPI at Sleeper, a stand-in server or the fixtures
+            if (!this.settings) this.loadSettings();
+            this.applyApiSettings();
+            
             // Load player data
             await this.loadPlayers();
             
@@ -74,6 +101,16 @@ class SleeperDraftHelper {
             // Inject our UI
             await this.injectUI();
             
+            // Without players nothing works, so say why and offer a retry up front
+            if (!this.players) {
+                this.ensurePlayers(document.getElementById('analysis-results'), () => {
+                    this.showSuccess(document.getElementById('analysis-results'), `Loaded ${Object.keys(this.players).length} players`);
+                });
+            }
+            
+            // Draft and league metadata aren't needed to start, so don't wait for them
+            this.loadPageContext();
+            
         this.initialized = true;
         this.log('Initialization complete');
         
@@ -146,14 +183,82 @@ async loadPlayers() {
             this.log('SleeperAPI available:', typeof SleeperAPI);
             this.log('SleeperAPI.getAllPlayers available:', typeof SleeperAPI.getAllPlayers);
             
-            this.players = await SleeperAPI.getAllPlayers();
+            // The refresh policy decides whether a saved copy is fresh enough
+            if (!this.settings) this.loadSettings();
+            const api = SleeperAPI.getInstance();
+            api.setRefreshPolicy(this.settings.playerRefreshHours);
+            if (this.refreshSubscribedTo !== api) {
+                // loadPlayers runs again on retry and after switching sources; subscribe once per instance
+                this.refreshSubscribedTo = api;
+                api.onPlayersRefreshed(players => {
+                    // Ignore refreshes from a source we've switched away from
+                    if (SleeperAPI.getInstance() !== api) return;
+                    this.log('Player data refreshed in the background');
+                    this.applyPlayers(players);
+                });
+            }
+            
+            this.applyPlayers(await SleeperAPI.getAllPlayers());
+            this.playersError = null;
             this.log(`Loaded ${Object.keys(this.players).length} players`);
         } catch (error) {
+            this.playersError = error;
             this.log(`Failed to load players: ${error.message}`, 'error');
             console.error('Full error:', error);
         }
     }
 
+    /**
+     * Checks that player data is loaded. If it isn't, shows why in the given
+     * container with a retry button that loads the players again and then
+     * runs the action that needed them.
+     * 
+     * @param {HTMLElement} container - Where to show the error
+     * @param {Function} retryAction - Called once the players have loaded
+     * @returns {boolean} True if players are loaded
+     */
+    ensurePlayers(container, retryAction) {
+        if (this.players) return true;
+
+        this.showRequestError(container, this.playersError, async () => {
+            this.showInfo(container, 'Loading player data…');
+            await this.loadPlayers();
+            if (this.ensurePlayers(container, retryAction)) {
+                retryAction();
+            }
+        });
+        return false;
+    }
+
+    /**
+     * Shows a user-facing message for a failed Sleeper request, with a retry button.
+     * 
+     * @param {HTMLElement} container - The container element to display the error in
+     * @param {Error|null} error - The error (SleeperAPIError types get specific messages)
+     * @param {Function} onRetry - Called when the retry button is clicked
+     */
+    showRequestError(container, error, onRetry) {
+        container.className = 'sleeper-results error';
+        container.innerHTML = `
+            <div class="error">❌ ${SleeperAPIError.describe(error)}</div>
+            <button class="sleeper-btn retry-btn">Retry</button>
+        `;
+        container.querySelector('.retry-btn').addEventListener('click', onRetry);
+    }
+
+    /**
+     * Swaps in a players object (initial load or refresh) and builds its name index.
+     * 
+     * @param {Object} players - Player database object
+     */
+    applyPlayers(players) {
+        this.players = players;
+
+        // Build the name index once per load instead of on the first analysis
+        NameMatcher.indexPlayers(this.players);
+        this.renderPlayerCacheStatus();
+    }
+
     /**
      * Finds and identifies draft interface elements on the page using various selectors.
      * Logs discovered elements for debugging purposes.
@@ -240,7 +345,7 @@ async loadPlayers() {
         
         container.innerHTML = `
             <div class="sleeper-header">
-                <h3>🏈 Draft Queue Helper</h3>
+                <h3>🏈 Draft Queue Helper <span id="season-label" class="sleeper-season-label"></span><span id="data-source-label" class="sleeper-data-source-label hidden"></span></h3>
                 <div class="sleeper-header-actions">
                     <button class="sleeper-settings-btn" id="settings-btn" title="Settings">⚙️</button>
                     <button class="sleeper-close" onclick="document.getElementById('sleeper-helper-main').classList.add('hidden')">×</button>
@@ -248,17 +353,24 @@ async loadPlayers() {
             </div>
             
             <div class="sleeper-content">
+                <div id="draft-summary" class="sleeper-draft-summary hidden"></div>
+                <div id="league-summary" class="sleeper-draft-summary sleeper-league-summary hidden"></div>
                 <div class="sleeper-section">
-                    <label>Paste player names (one per line):</label>
+                    <label>Paste player names (one per line) or a CSV/TSV cheatsheet with a header row:</label>
                     <textarea id="player-input" placeholder="Josh Allen&#10;Christian McCaffrey&#10;Tyreek Hill&#10;..." 
                               title="Tip: Use Ctrl+V to paste, Ctrl+A to select all"></textarea>
                     <div class="sleeper-actions">
                         <button id="analyze-players" class="sleeper-btn" title="Shortcut: Ctrl+Enter">Analyze Players</button>
                         <button id="validate-queue" class="sleeper-btn" title="Check which players are already queued">Validate Queue</button>
                         <button id="queue-players" class="sleeper-btn primary" title="Add analyzed players to queue">Add to Queue</button>
+                        <button id="sync-queue" class="sleeper-btn" title="Add missing and remove extra players so the queue matches the list">Sync Queue</button>
+                        <button id="reorder-queue" class="sleeper-btn" title="Move queued players into cheatsheet rank order">Reorder Queue</button>
                         <button id="clear-queue" class="sleeper-btn secondary" title="Remove all players from queue">Clear Queue</button>
+                        <button id="undo-queue" class="sleeper-btn secondary" title="Put the queue back the way it was before the last add, clear, sync or restore" disabled>Undo Last Operation</button>
                     </div>
                     <div id="analysis-results" class="sleeper-results"></div>
+                    <div id="trending-panel" class="sleeper-trending hidden"></div>
+                    <div id="queue-history" class="sleeper-queue-history hidden"></div>
                 </div>
                 
                 <!-- Settings Panel (hidden by default) -->
@@ -282,6 +394,60 @@ async loadPlayers() {
                             Sound notifications when complete
                         </label>
                     </div>
+                    <div class="setting-item setting-account">
+                        <h5>👤 Sleeper Account</h5>
+                        <div class="setting-help">Your Sleeper username, used to find your draft slot and picks.</div>
+                        <label>
+                            <input type="text" id="sleeper-username-setting" placeholder="Username" />
+                        </label>
+                        <div id="sleeper-username-status" class="player-cache-status"></div>
+                    </div>
+                    <div class="setting-item setting-player-cache">
+                        <h5>🗄️ Player Data</h5>
+                        <div class="setting-help">The Sleeper player list is saved in this browser so the helper starts instantly. It is refreshed in the background once it gets older than:</div>
+                        <label>
+                            <select id="player-refresh-setting">
+                                <option value="6">6 hours</option>
+                                <option value="12">12 hours</option>
+                                <option value="24">1 day</option>
+                                <option value="72">3 days</option>
+                                <option value="168">1 week</option>
+                                <option value="0">Never (refresh by hand)</option>
+                            </select>
+                        </label>
+                        <div class="player-cache-row">
+                            <span id="player-cache-status" class="player-cache-status">Player data not loaded yet</span>
+                            <button id="refresh-players" class="sleeper-btn">Refresh Now</button>
+                        </div>
+                    </div>
+                    <div class="setting-item setting-data-source">
+                        <h5>🧪 Testing</h5>
+                        <div class="setting-help">Answer requests from bundled sample data (players, a draft with picks, a league) or from a stand-in server instead of api.sleeper.app, to rehearse flows or reproduce a bug offline. Player data loaded this way isn't saved.</div>
+                        <label>
+                            <input type="checkbox" id="fixture-mode-setting" />
+                            Fixture mode (bundled sample data)
+                        </label>
+                        <label>
+                            <input type="text" id="api-base-url-setting" placeholder="${SleeperAPI.defaultBaseURL}" />
+                            API base URL (empty for Sleeper)
+                        </label>
+                    </div>
+                    <div class="setting-item setting-aliases">
+                        <h5>📝 Aliases</h5>
+                        <div class="setting-help">Map a name from your cheatsheets to a specific Sleeper player. Aliases are checked before any other matching, and are added automatically when you pick a player by hand.</div>
+                        <div class="alias-form">
+                            <input type="text" id="alias-input" placeholder="Alias (e.g. Big Dog)" />
+                            <input type="text" id="alias-player-input" placeholder="Player name or ID" />
+                            <select id="alias-player-select"></select>
+                            <button id="add-alias" class="sleeper-btn">Add</button>
+                        </div>
+                        <div id="alias-list" class="alias-list"></div>
+                        <div class="alias-actions">
+                            <button id="export-aliases" class="sleeper-btn">Export</button>
+                            <button id="import-aliases" class="sleeper-btn">Import</button>
+                            <input type="file" id="import-aliases-file" accept=".json,application/json" hidden />
+                        </div>
+                    </div>
                     <div class="setting-item">
                         <button id="reset-settings" class="sleeper-btn secondary">Reset to Defaults</button>
                     </div>
@@ -316,6 +482,68 @@ async loadPlayers() {
         const clearQueueBtn = container.querySelector('#clear-queue');
         clearQueueBtn.addEventListener('click', () => this.clearQueue());
 
+        // Sync queue (shows a preview; applied from the results panel)
+        const syncBtn = container.querySelector('#sync-queue');
+        syncBtn.addEventListener('click', () => this.syncQueue());
+
+        // Reorder queue to cheatsheet order
+        const reorderBtn = container.querySelector('#reorder-queue');
+        reorderBtn.addEventListener('click', () => this.reorderQueue());
+
+        // Queue snapshots: undo and restore
+        const undoBtn = container.querySelector('#undo-queue');
+        undoBtn.addEventListener('click', () => this.undoLastQueueOperation());
+        const historyPanel = container.querySelector('#queue-history');
+        historyPanel.addEventListener('click', (e) => {
+            if (e.target.dataset?.action === 'restore-snapshot') {
+                this.restoreQueueSnapshot(e.target.dataset.snapshotId);
+            }
+        });
+        this.loadQueueHistory();
+        this.renderQueueHistory(historyPanel);
+
+        // Disambiguation picker (results are re-rendered, so delegate from the container)
+        const resultsContainer = container.querySelector('#analysis-results');
+        resultsContainer.addEventListener('change', (e) => {
+            if (e.target.matches('.picker-option input[type="radio"]')) {
+                this.resolveAmbiguity(parseInt(e.target.dataset.index, 10), e.target.value);
+            }
+        });
+        resultsContainer.addEventListener('click', (e) => {
+            const action = e.target.dataset?.action;
+            const index = parseInt(e.target.dataset?.index, 10);
+            if (action === 'skip') {
+                this.resolveAmbiguity(index, null);
+            } else if (action === 'change') {
+                this.reopenAmbiguity(index);
+            } else if (action === 'find') {
+                this.openManualSearch(index);
+            } else if (action === 'apply-sync') {
+                this.applyQueueSync();
+            } else if (action === 'cancel-sync') {
+                this.pendingSync = null;
+                this.showInfo(resultsContainer, 'Sync cancelled. The queue was not changed.');
+            } else if (action === 'pause-operation') {
+                this.togglePauseOperation(e.target);
+            } else if (action === 'cancel-operation') {
+                this.cancelOperation(e.target);
+            } else if (action === 'resume-operation') {
+                this.resumeOperation();
+            }
+        });
+        resultsContainer.addEventListener('input', (e) => {
+            if (e.target.matches('.picker-search')) {
+                this.updateManualSearch(parseInt(e.target.dataset.index, 10), e.target.value);
+            }
+        });
+
+        // Trending players panel
+        container.querySelector('#trending-panel').addEventListener('click', (e) => {
+            if (e.target.dataset?.action === 'add-trending') {
+                this.addTrendingToList(e.target.dataset.playerId);
+            }
+        });
+
         // Settings panel
         const settingsBtn = container.querySelector('#settings-btn');
         const settingsPanel = container.querySelector('#settings-panel');
@@ -364,213 +592,1004 @@ async loadPlayers() {
         });
 
         resetBtn.addEventListener('click', () => {
+            const wasTesting = this.settings.fixtureMode || !!this.settings.apiBaseURL;
             this.resetSettings();
             this.loadSettings();
+
+            // Back to live data
+            if (wasTesting) this.switchDataSource();
         });
+
+        this.setupAccountHandlers(container);
+        this.setupPlayerCacheHandlers(container);
+        this.setupDataSourceHandlers(container);
+        this.setupAliasHandlers(container);
     }
 
     /**
-     * Sets up keyboard shortcuts for the interface.
+     * Sets up the Sleeper account section of the settings panel. The username
+     * is resolved to a user id, which identifies the user's slot in the draft.
      * 
      * @param {HTMLElement} container - The main interface container
      */
-    setupKeyboardShortcuts(container) {
-        const playerInput = container.querySelector('#player-input');
-        
-        // Add keyboard event listener to the container
-        container.addEventListener('keydown', (e) => {
-            // Ctrl+Enter to analyze players
-            if (e.ctrlKey && e.key === 'Enter') {
-                e.preventDefault();
-                this.analyzePlayers();
-            }
-            
-            // Escape to close modal
-            if (e.key === 'Escape') {
-                container.classList.add('hidden');
+    setupAccountHandlers(container) {
+        const usernameInput = container.querySelector('#sleeper-username-setting');
+        const statusEl = container.querySelector('#sleeper-username-status');
+
+        usernameInput.value = this.settings.sleeperUsername;
+        usernameInput.addEventListener('change', async () => {
+            const username = usernameInput.value.trim();
+            this.settings.sleeperUsername = username;
+            this.settings.sleeperUserId = null;
+            statusEl.textContent = username ? 'Looking up user…' : '';
+
+            if (username) {
+                try {
+                    const user = await SleeperAPI.getInstance().getUser(username);
+                    if (user && user.user_id) {
+                        this.settings.sleeperUserId = user.user_id;
+                        statusEl.textContent = `Found Sleeper user ${user.display_name || user.username} (id ${user.user_id})`;
+                    } else {
+                        statusEl.textContent = `No Sleeper user named "${username}"`;
+                    }
+                } catch (error) {
+                    this.log(`Failed to look up user ${username}: ${error.message}`, 'warn');
+                    statusEl.textContent = 'Could not reach Sleeper, try again later';
+                }
             }
-        });
 
-        // Focus management
-        playerInput.addEventListener('keydown', (e) => {
-            // Ctrl+A to select all text
-            if (e.ctrlKey && e.key === 'a') {
-                e.stopPropagation(); // Let the default behavior work for textarea
-            }
+            this.saveSettings();
+            this.loadPageContext();
         });
     }
 
     /**
-     * Loads user settings from storage with fallback to default values.
-     * Updates UI elements to reflect current settings.
+     * Loads the NFL season, week and season type, shows them in the header and
+     * checks whether the player data is from before the current league year.
      * 
-     * @returns {Object} The loaded settings object
+     * @async
+     * @returns {Promise<Object|null>} NFL state, or null if it couldn't be loaded
      */
-    loadSettings() {
-        const defaultSettings = {
-            delay: 150,
-            autoScroll: true,
-            soundNotifications: false
-        };
-
+    async loadNflState() {
         try {
-            const saved = localStorage.getItem('sleeper-helper-settings');
-            this.settings = saved ? { ...defaultSettings, ...JSON.parse(saved) } : defaultSettings;
+            this.nflState = await SleeperAPI.getInstance().getNflState();
+            this.log(`NFL state: ${SleeperAPI.formatSeason(this.nflState)} (${this.nflState.season_type})`);
         } catch (error) {
-            this.settings = defaultSettings;
+            this.log(`Failed to load NFL state: ${error.message}`, 'warn');
         }
 
-        // Apply to UI
-        const delayInput = document.getElementById('delay-setting');
-        const autoScrollInput = document.getElementById('auto-scroll-setting');
-        const soundInput = document.getElementById('sound-notifications');
+        const label = document.getElementById('season-label');
+        if (label) label.textContent = SleeperAPI.formatSeason(this.nflState);
 
-        if (delayInput) delayInput.value = this.settings.delay;
-        if (autoScrollInput) autoScrollInput.checked = this.settings.autoScroll;
-        if (soundInput) soundInput.checked = this.settings.soundNotifications;
+        if (SleeperAPI.getInstance().getPlayersCacheInfo()?.predatesLeagueYear) {
+            this.log('Player data is from before the current league year; refresh it in Settings → Player Data', 'warn');
+        }
+        this.renderPlayerCacheStatus();
+        return this.nflState;
     }
 
     /**
-     * Saves current settings to localStorage.
+     * Loads the draft and league for the current page. Draft rooms carry the
+     * draft id in the URL and the league id in the draft; league pages
+     * (predraft) carry the league id in the URL and the draft id in the league.
      * 
-     * @returns {void}
+     * @async
+     * @returns {Promise<void>}
      */
-    saveSettings() {
-        try {
-            localStorage.setItem('sleeper-helper-settings', JSON.stringify(this.settings));
-        } catch (error) {
-            this.log('Failed to save settings', 'warn');
+    async loadPageContext() {
+        this.contextUrl = location.href;
+        await this.loadNflState();
+        await this.loadDraftContext();
+        await this.loadLeagueContext();
+
+        if (!this.draft && this.league?.draftId && SleeperAPI.parseLeagueId(location.href)) {
+            await this.loadDraftContext(this.league.draftId);
         }
     }
 
     /**
-     * Resets settings to default values and removes from localStorage.
+     * Loads a draft: type, rounds, slot order and, when the user's Sleeper
+     * account is known, their slot and picks.
      * 
-     * @returns {void}
+     * @param {string|null} [draftId] - Draft id, defaults to the one in the current URL
+     * @async
+     * @returns {Promise<Object|null>} Draft summary from SleeperAPI.summarizeDraft, or null outside a draft room
      */
-    resetSettings() {
-        localStorage.removeItem('sleeper-helper-settings');
-        this.settings = {
-            delay: 150,
-            autoScroll: true,
-            soundNotifications: false
-        };
+    async loadDraftContext(draftId = SleeperAPI.parseDraftId(location.href)) {
+        if (!draftId) {
+            this.draft = null;
+            this.renderDraftSummary();
+            return null;
+        }
+
+        try {
+            if (!this.settings) this.loadSettings();
+            this.draft = await SleeperAPI.getInstance().getDraftContext(draftId, this.settings.sleeperUserId);
+            this.log(`Draft ${draftId}: ${this.draft.type}, ${this.draft.teams} teams, ${this.draft.rounds} rounds, slot ${this.draft.userSlot || 'unknown'}`);
+        } catch (error) {
+            this.log(`Failed to load draft ${draftId}: ${error.message}`, 'warn');
+            this.draft = null;
+        }
+
+        this.renderDraftSummary();
+        return this.draft;
     }
 
     /**
-     * Plays a notification sound if sound notifications are enabled in settings.
+     * Loads the league for the current page or draft: scoring, roster slots,
+     * rosters and owners. Mock drafts have no league, so the league picked in
+     * the league panel (from the user's leagues this season) is used instead.
      * 
-     * @returns {void}
+     * @async
+     * @returns {Promise<Object|null>} League summary from SleeperAPI.summarizeLeague, or null without a league
      */
-    playNotificationSound() {
-        if (this.settings?.soundNotifications) {
+    async loadLeagueContext() {
+        if (!this.settings) this.loadSettings();
+        const api = SleeperAPI.getInstance();
+        const pageLeagueId = SleeperAPI.parseLeagueId(location.href) || this.draft?.leagueId || null;
+        const leagueId = pageLeagueId || this.settings.referenceLeagueId;
+
+        this.league = null;
+        if (leagueId) {
             try {
-                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                const oscillator = audioContext.createOscillator();
-                const gainNode = audioContext.createGain();
-                
-                oscillator.connect(gainNode);
-                gainNode.connect(audioContext.destination);
-                
-                oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-                oscillator.frequency.setValueAtTime(600, audioContext.currentTime + 0.1);
-                gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-                gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
-                
-                oscillator.start(audioContext.currentTime);
-                oscillator.stop(audioContext.currentTime + 0.3);
+                this.league = await api.getLeagueContext(leagueId, this.settings.sleeperUserId);
+                this.log(`League ${leagueId}: ${this.league.name}, ${this.league.scoring}, ${this.league.rosterSlots.length} slot types`);
             } catch (error) {
-                this.log('Could not play notification sound', 'warn');
+                this.log(`Failed to load league ${leagueId}: ${error.message}`, 'warn');
+            }
+        }
+
+        // Offer the user's leagues when the page itself has no league
+        let userLeagues = [];
+        if (!pageLeagueId && this.settings.sleeperUserId) {
+            const season = this.draft?.season || SleeperAPI.leagueSeason(this.nflState);
+            try {
+                userLeagues = await api.getUserLeagues(this.settings.sleeperUserId, season) || [];
+            } catch (error) {
+                this.log(`Failed to load leagues for ${season}: ${error.message}`, 'warn');
             }
         }
+
+        this.renderLeagueSummary(userLeagues);
+        return this.league;
     }
 
     /**
-     * Sets up resize handlers for the main interface container.
-     * Allows users to resize the interface by dragging the resize handle.
+     * Shows the league's scoring format and roster slots above the input, with
+     * a league picker when the page has no league of its own.
      * 
-     * @param {HTMLElement} container - The main interface container
+     * @param {Array} [userLeagues=[]] - The user's leagues to offer in the picker
+     * @returns {void}
      */
-    setupResizeHandlers(container) {
-        const resizeHandle = container.querySelector('.sleeper-resize-handle');
-        let isResizing = false;
-        let startX, startY, startWidth, startHeight;
+    renderLeagueSummary(userLeagues = []) {
+        const summaryEl = document.getElementById('league-summary');
+        if (!summaryEl) return;
+
+        const league = this.league;
+        let html = '';
+
+        if (league) {
+            const scoringLabels = { ppr: 'PPR', half: 'Half PPR', standard: 'Standard', custom: `${league.receptionPoints} PPR` };
+            const badges = [scoringLabels[league.scoring]];
+            if (league.superflex) badges.push('Superflex');
+            if (league.tePremium > 0) badges.push(`TE Premium +${league.tePremium}`);
+
+            const slots = league.rosterSlots.map(slot => `${slot.count > 1 ? `${slot.count} ` : ''}${this.formatRosterSlot(slot.position)}`);
+
+            html += `
+                <div class="draft-summary-line">🏆 <strong>${this.escapeHtml(league.name)}</strong> · ${league.totalRosters} teams</div>
+                <div class="league-badges">${badges.map(badge => `<span class="league-badge">${badge}</span>`).join('')}</div>
+                <div class="draft-summary-line" title="${league.starterCount} starters, ${league.benchCount} bench">${slots.join(' · ')}</div>
+            `;
+            if (league.rosteredIds.length > 0) {
+                html += `<div class="draft-summary-line">${league.rosteredIds.length} players already on rosters</div>`;
+            }
+        }
 
-        resizeHandle.addEventListener('mousedown', (e) => {
-            isResizing = true;
-            startX = e.clientX;
-            startY = e.clientY;
-            startWidth = parseInt(document.defaultView.getComputedStyle(container).width, 10);
-            startHeight = parseInt(document.defaultView.getComputedStyle(container).height, 10);
-            
-            document.addEventListener('mousemove', handleResize);
-            document.addEventListener('mouseup', stopResize);
-            e.preventDefault();
+        if (userLeagues.length > 0) {
+            const options = userLeagues.map(entry => `
+                <option value="${entry.league_id}" ${entry.league_id === this.settings.referenceLeagueId ? 'selected' : ''}>${this.escapeHtml(entry.name)}</option>
+            `).join('');
+            html += `
+                <label class="draft-summary-line">Use settings from
+                    <select id="reference-league-select">
+                        <option value="">No league</option>
+                        ${options}
+                    </select>
+                </label>
+            `;
+        }
+
+        summaryEl.innerHTML = html;
+        summaryEl.classList.toggle('hidden', html === '');
+
+        summaryEl.querySelector('#reference-league-select')?.addEventListener('change', (event) => {
+            this.settings.referenceLeagueId = event.target.value || null;
+            this.saveSettings();
+            this.loadLeagueContext();
         });
+    }
 
-        function handleResize(e) {
-            if (!isResizing) return;
-            
-            const newWidth = Math.max(600, startWidth + e.clientX - startX);
-            const newHeight = Math.max(300, startHeight + e.clientY - startY);
-            
-            container.style.width = newWidth + 'px';
-            container.style.height = newHeight + 'px';
-            
-            // Adjust content height
-            const header = container.querySelector('.sleeper-header');
-            const headerHeight = header.offsetHeight;
-            const content = container.querySelector('.sleeper-content');
-            content.style.maxHeight = (newHeight - headerHeight - 20) + 'px';
+    /**
+     * Formats a Sleeper roster_positions entry for display, e.g. SUPER_FLEX -> SFLEX.
+     * 
+     * @param {string} position - Roster position from the league
+     * @returns {string} Short label
+     */
+    formatRosterSlot(position) {
+        const labels = {
+            FLEX: 'FLEX',
+            SUPER_FLEX: 'SFLEX',
+            REC_FLEX: 'W/T',
+            WRRB_FLEX: 'W/R',
+            IDP_FLEX: 'IDP',
+            BN: 'BN'
+        };
+        return labels[position] || position;
+    }
+
+    /**
+     * Escapes text from the API or user files (league and team names, aliases)
+     * before it goes into innerHTML or an attribute.
+     * 
+     * @param {string} text - Text to escape
+     * @returns {string} HTML-safe text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        // innerHTML leaves quotes alone; escape them so the result is safe in attributes too
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Shows the draft type, size and the user's slot above the input.
+     * 
+     * @returns {void}
+     */
+    renderDraftSummary() {
+        const summaryEl = document.getElementById('draft-summary');
+        if (!summaryEl) return;
+
+        const draft = this.draft;
+        if (!draft) {
+            summaryEl.classList.add('hidden');
+            summaryEl.innerHTML = '';
+            return;
         }
 
-        function stopResize() {
-            isResizing = false;
-            document.removeEventListener('mousemove', handleResize);
-            document.removeEventListener('mouseup', stopResize);
+        const typeLabels = { snake: '🐍 Snake', linear: '➡️ Linear', auction: '💰 Auction' };
+        const parts = [
+            typeLabels[draft.type] || draft.type,
+            `${draft.teams} teams`,
+            `${draft.rounds} rounds`
+        ];
+
+        let slotText;
+        if (draft.userSlot) {
+            slotText = `Your slot: <strong>${draft.userSlot}</strong>`;
+            const nextPick = draft.userPicks.find(pick => pick.pickNo > draft.picksMade);
+            if (nextPick) {
+                slotText += ` · next pick ${nextPick.round}.${String(nextPick.pickNo - (nextPick.round - 1) * draft.teams).padStart(2, '0')} (#${nextPick.pickNo})`;
+            }
+        } else if (this.settings?.sleeperUserId) {
+            slotText = 'You are not in this draft';
+        } else {
+            slotText = 'Set your Sleeper username in ⚙️ Settings to see your slot';
         }
+
+        summaryEl.innerHTML = `
+            <div class="draft-summary-line">${parts.join(' · ')}</div>
+            <div class="draft-summary-line">${slotText}</div>
+        `;
+        summaryEl.title = draft.userPicks.length > 0
+            ? `Your picks: ${draft.userPicks.map(pick => `#${pick.pickNo}`).join(', ')}`
+            : '';
+        summaryEl.classList.remove('hidden');
     }
 
     /**
-     * Toggles the visibility of the main interface.
+     * Sets up the testing section of the settings panel: fixture mode and a
+     * custom API base URL. Either change reloads the players and page context
+     * from the new source.
+     * 
+     * @param {HTMLElement} container - The main interface container
+     */
+    setupDataSourceHandlers(container) {
+        const fixtureInput = container.querySelector('#fixture-mode-setting');
+        const baseUrlInput = container.querySelector('#api-base-url-setting');
+
+        fixtureInput.checked = this.settings.fixtureMode;
+        baseUrlInput.value = this.settings.apiBaseURL;
+        baseUrlInput.disabled = this.settings.fixtureMode;
+        this.renderDataSourceLabel(container.querySelector('#data-source-label'));
+
+        fixtureInput.addEventListener('change', () => {
+            this.settings.fixtureMode = fixtureInput.checked;
+            baseUrlInput.disabled = fixtureInput.checked;
+            this.saveSettings();
+            this.switchDataSource();
+        });
+
+        baseUrlInput.addEventListener('change', () => {
+            this.settings.apiBaseURL = baseUrlInput.value.trim();
+            this.saveSettings();
+            this.switchDataSource();
+        });
+    }
+
+    /**
+     * Picks the SleeperAPI instance from the fixtureMode and apiBaseURL
+     * settings. Live data goes through the background worker when it's
+     * reachable; testing sources use an in-page SleeperAPI so they never
+     * touch the worker's shared data or the saved players copy.
      * 
      * @returns {void}
      */
-    toggleMainInterface() {
-        const main = document.getElementById('sleeper-helper-main');
-        if (main.classList.contains('hidden')) {
-            main.classList.remove('hidden');
+    applyApiSettings() {
+        const fixtureMode = this.settings.fixtureMode && typeof SleeperFixtures !== 'undefined';
+        const testing = fixtureMode || !!this.settings.apiBaseURL;
+
+        let api;
+        if (!testing && this.backgroundClient) {
+            api = this.backgroundClient;
         } else {
-            main.classList.add('hidden');
+            this.localApi = this.localApi || new SleeperAPI();
+            api = this.localApi;
+            if (fixtureMode) {
+                api.configure({ baseURL: SleeperFixtures.baseURL, transport: SleeperFixtures.transport, persist: false });
+            } else {
+                api.configure({ baseURL: this.settings.apiBaseURL || null, persist: !this.settings.apiBaseURL });
+            }
         }
+        SleeperAPI.setInstance(api);
+        api.setRefreshPolicy(this.settings.playerRefreshHours);
+
+        this.renderDataSourceLabel();
+        this.log(`API source: ${fixtureMode ? 'fixtures' : api.baseURL}`);
     }
 
     /**
-     * Analyzes player names from input text against the Sleeper player database.
-     * Displays match results with confidence scores and player information.
+     * Marks the header when data doesn't come from Sleeper, so test data
+     * isn't mistaken for the real thing.
+     * 
+     * @param {HTMLElement} [label] - Header label, looked up by id if omitted
+     */
+    renderDataSourceLabel(label = document.getElementById('data-source-label')) {
+        if (!label) return;
+
+        const fixtureMode = this.settings.fixtureMode && typeof SleeperFixtures !== 'undefined';
+        label.textContent = fixtureMode ? '🧪 Fixtures' : this.settings.apiBaseURL ? '🧪 Stand-in API' : '';
+        label.title = fixtureMode ? 'Fixture mode: sample data, nothing is sent to Sleeper' : this.settings.apiBaseURL;
+        label.classList.toggle('hidden', !fixtureMode && !this.settings.apiBaseURL);
+    }
+
+    /**
+     * Switches SleeperAPI to the configured source and reloads the players,
+     * NFL state, draft and league from it.
      * 
      * @async
      * @returns {Promise<void>}
      */
-    async analyzePlayers() {
-        const input = document.getElementById('player-input');
-        const results = document.getElementById('analysis-results');
-        const analyzeBtn = document.getElementById('analyze-players');
-        
-        const playerNames = input.value.split('\n')
-            .map(name => name.trim())
-            .filter(name => name.length > 0);
+    async switchDataSource() {
+        this.applyApiSettings();
+        this.players = null;
+        this.trending = { add: new Map(), drop: new Map() };
+        this.renderPlayerCacheStatus();
 
-        if (playerNames.length === 0) {
-            this.showError(results, 'Please enter player names');
-            return;
-        }
+        await this.loadPlayers();
+        await this.loadPageContext();
+    }
+
+    /**
+     * Sets up the player data section of the settings panel: refresh policy,
+     * cache age and the "Refresh Now" button.
+     * 
+     * @param {HTMLElement} container - The main interface container
+     */
+    setupPlayerCacheHandlers(container) {
+        const refreshInput = container.querySelector('#player-refresh-setting');
+        const refreshBtn = container.querySelector('#refresh-players');
+        const statusEl = container.querySelector('#player-cache-status');
+
+        refreshInput.value = String(this.settings.playerRefreshHours);
+        refreshInput.addEventListener('change', () => {
+            this.settings.playerRefreshHours = parseInt(refreshInput.value);
+            SleeperAPI.getInstance().setRefreshPolicy(this.settings.playerRefreshHours);
+            this.saveSettings();
+            this.renderPlayerCacheStatus(statusEl);
+        });
+
+        refreshBtn.addEventListener('click', () => this.refreshPlayerData(refreshBtn, statusEl));
+
+        // Keep the age current while the panel is open
+        container.querySelector('#settings-btn')?.addEventListener('click', () => this.renderPlayerCacheStatus(statusEl));
+        this.renderPlayerCacheStatus(statusEl);
+    }
+
+    /**
+     * Shows how many players are loaded, how old they are and where they came from.
+     * 
+     * @param {HTMLElement} [statusEl] - Status element, looked up by id if omitted
+     */
+    renderPlayerCacheStatus(statusEl = document.getElementById('player-cache-status')) {
+        if (!statusEl) return;
+
+        const info = SleeperAPI.getInstance().getPlayersCacheInfo();
+        if (!info) {
+            statusEl.textContent = 'Player data not loaded yet';
+            return;
+        }
+
+        const source = this.settings?.fixtureMode ? 'fixtures loaded'
+            : this.settings?.apiBaseURL ? 'from stand-in API'
+            : info.source === 'indexeddb' ? 'saved copy' : 'downloaded';
+        let state = info.refreshing ? ' · refreshing…' : info.stale ? ' · due for refresh' : '';
+        if (info.predatesLeagueYear && !info.refreshing) {
+            state = ' · from last league year, teams and rookies may be out of date';
+        }
+        if (info.lastError && !info.refreshing) {
+            state = ' · last refresh failed';
+        }
+        statusEl.textContent = `${info.count.toLocaleString()} players · ${source} ${this.formatAge(info.age)}${state}`;
+        statusEl.classList.toggle('outdated', info.predatesLeagueYear || !!info.lastError);
+        statusEl.title = `Last downloaded ${new Date(info.timestamp).toLocaleString()}`
+            + (info.lastError ? `\n${SleeperAPIError.describe(info.lastError)}` : '');
+    }
+
+    /**
+     * Downloads the player list again right away and swaps it in.
+     * 
+     * @param {HTMLElement} button - The "Refresh Now" button
+     * @param {HTMLElement} statusEl - Cache status element
+     * @async
+     * @returns {Promise<void>}
+     */
+    async refreshPlayerData(button, statusEl) {
+        this.setButtonLoading(button, true);
+        statusEl.textContent = 'Downloading player data…';
+
+        try {
+            this.applyPlayers(await SleeperAPI.getAllPlayers(true));
+            this.playersError = null;
+        } catch (error) {
+            this.log(`Failed to refresh players: ${error.message}`, 'error');
+            this.playersError = error;
+        } finally {
+            this.setButtonLoading(button, false);
+            this.renderPlayerCacheStatus(statusEl);
+        }
+
+        // Nothing loaded at all: the status line has nothing else to say
+        if (!this.players) {
+            statusEl.textContent = SleeperAPIError.describe(this.playersError);
+        }
+    }
+
+    /**
+     * Formats a duration as a short age, e.g. "just now", "5 min ago", "3 h ago", "2 days ago".
+     * 
+     * @param {number} ms - Age in milliseconds
+     * @returns {string} Human-readable age
+     */
+    formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours} h ago`;
+        return `${Math.floor(hours / 24)} days ago`;
+    }
+
+    /**
+     * Sets up the aliases editor in the settings panel: add (with a live player
+     * lookup), remove, export and import.
+     * 
+     * @param {HTMLElement} container - The main interface container
+     */
+    setupAliasHandlers(container) {
+        const aliasInput = container.querySelector('#alias-input');
+        const playerInput = container.querySelector('#alias-player-input');
+        const playerSelect = container.querySelector('#alias-player-select');
+        const addBtn = container.querySelector('#add-alias');
+        const aliasList = container.querySelector('#alias-list');
+        const fileInput = container.querySelector('#import-aliases-file');
+
+        this.loadUserAliases();
+        this.renderAliasList(aliasList);
+
+        // Look up players as the user types so the alias targets an exact player_id
+        playerInput.addEventListener('input', () => {
+            const query = playerInput.value.trim();
+            const candidates = this.lookupPlayersForAlias(query);
+            playerSelect.innerHTML = candidates.map(player =>
+                `<option value="${player.playerId}">${player.full_name} (${this.formatPlayerDetails(player)}) #${player.playerId}</option>`
+            ).join('');
+        });
+
+        addBtn.addEventListener('click', () => {
+            const alias = aliasInput.value.trim();
+            const playerId = playerSelect.value;
+            if (!alias || !playerId) {
+                this.log('Alias needs both a name and a selected player', 'warn');
+                return;
+            }
+
+            this.addUserAlias(alias, playerId, 'manual');
+            aliasInput.value = '';
+            playerInput.value = '';
+            playerSelect.innerHTML = '';
+            this.renderAliasList(aliasList);
+        });
+
+        aliasList.addEventListener('click', (e) => {
+            if (e.target.dataset?.action === 'remove-alias') {
+                this.removeUserAlias(e.target.dataset.key);
+                this.renderAliasList(aliasList);
+            }
+        });
+
+        container.querySelector('#export-aliases').addEventListener('click', () => this.exportUserAliases());
+        container.querySelector('#import-aliases').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            await this.importUserAliases(file);
+            fileInput.value = '';
+            this.renderAliasList(aliasList);
+        });
+    }
+
+    /**
+     * Sets up keyboard shortcuts for the interface.
+     * 
+     * @param {HTMLElement} container - The main interface container
+     */
+    setupKeyboardShortcuts(container) {
+        const playerInput = container.querySelector('#player-input');
+        
+        // Add keyboard event listener to the container
+        container.addEventListener('keydown', (e) => {
+            // Ctrl+Enter to analyze players
+            if (e.ctrlKey && e.key === 'Enter') {
+                e.preventDefault();
+                this.analyzePlayers();
+            }
+            
+            // Escape to close modal
+            if (e.key === 'Escape') {
+                container.classList.add('hidden');
+            }
+        });
+
+        // Focus management
+        playerInput.addEventListener('keydown', (e) => {
+            // Ctrl+A to select all text
+            if (e.ctrlKey && e.key === 'a') {
+                e.stopPropagation(); // Let the default behavior work for textarea
+            }
+        });
+    }
+
+    /**
+     * Loads user settings from storage with fallback to default values.
+     * Updates UI elements to reflect current settings.
+     * 
+     * @returns {Object} The loaded settings object
+     */
+    loadSettings() {
+        const defaultSettings = {
+            delay: 150,
+            autoScroll: true,
+            soundNotifications: false,
+            playerRefreshHours: 24,
+            sleeperUsername: '',
+            sleeperUserId: null,
+            referenceLeagueId: null,
+            fixtureMode: false,
+            apiBaseURL: ''
+        };
+
+        const saved = ExtensionStorage.get('sleeper-helper-settings');
+        this.settings = saved ? { ...defaultSettings, ...saved } : defaultSettings;
+
+        // Apply to UI
+        const delayInput = document.getElementById('delay-setting');
+        const autoScrollInput = document.getElementById('auto-scroll-setting');
+        const soundInput = document.getElementById('sound-notifications');
+        const refreshInput = document.getElementById('player-refresh-setting');
+        const usernameInput = document.getElementById('sleeper-username-setting');
+        const fixtureInput = document.getElementById('fixture-mode-setting');
+        const baseUrlInput = document.getElementById('api-base-url-setting');
+
+        if (delayInput) delayInput.value = this.settings.delay;
+        if (autoScrollInput) autoScrollInput.checked = this.settings.autoScroll;
+        if (soundInput) soundInput.checked = this.settings.soundNotifications;
+        if (refreshInput) refreshInput.value = String(this.settings.playerRefreshHours);
+        if (usernameInput) usernameInput.value = this.settings.sleeperUsername;
+        if (fixtureInput) fixtureInput.checked = this.settings.fixtureMode;
+        if (baseUrlInput) {
+            baseUrlInput.value = this.settings.apiBaseURL;
+            baseUrlInput.disabled = this.settings.fixtureMode;
+        }
+    }
+
+    /**
+     * Saves current settings to chrome.storage.sync (localStorage without the bridge).
+     * 
+     * @returns {void}
+     */
+    saveSettings() {
+        ExtensionStorage.set('sleeper-helper-settings', this.settings).then(saved => {
+            if (!saved) this.log('Failed to save settings', 'warn');
+        });
+    }
+
+    /**
+     * Resets settings to default values and removes them from storage.
+     * 
+     * @returns {void}
+     */
+    resetSettings() {
+        ExtensionStorage.remove('sleeper-helper-settings');
+        this.settings = {
+            delay: 150,
+            autoScroll: true,
+            soundNotifications: false,
+            playerRefreshHours: 24,
+            sleeperUsername: '',
+            sleeperUserId: null,
+            referenceLeagueId: null,
+            fixtureMode: false,
+            apiBaseURL: ''
+        };
+        SleeperAPI.getInstance().setRefreshPolicy(this.settings.playerRefreshHours);
+    }
+
+    /**
+     * Loads user aliases from storage.
+     * Aliases are stored as { nameKey: { alias, playerId, name, source, createdAt } }.
+     * 
+     * @returns {void}
+     */
+    loadUserAliases() {
+        this.userAliases = this.sanitizeUserAliases(ExtensionStorage.get('sleeper-helper-aliases'));
+    }
+
+    /**
+     * Keeps only well-formed aliases ({ alias, name, playerId } strings), keyed
+     * by NameMatcher.nameKey(alias) whatever key they came with. Alias files
+     * can be shared, so nothing from them is trusted as-is.
+     * 
+     * @param {Object} aliases - Alias map, e.g. from an imported file
+     * @returns {Object} Clean alias map
+     */
+    sanitizeUserAliases(aliases) {
+        const clean = {};
+        if (!aliases || typeof aliases !== 'object') return clean;
+
+        for (const entry of Object.values(aliases)) {
+            if (!entry || typeof entry.alias !== 'string' || typeof entry.name !== 'string' || typeof entry.playerId !== 'string') {
+                continue;
+            }
+            const key = NameMatcher.nameKey(entry.alias);
+            if (!key || !entry.playerId) continue;
+
+            clean[key] = {
+                alias: entry.alias,
+                playerId: entry.playerId,
+                name: entry.name,
+                source: entry.source === 'auto' ? 'auto' : 'manual',
+                createdAt: Number(entry.createdAt) || Date.now()
+            };
+        }
+        return clean;
+    }
+
+    /**
+     * Saves user aliases to chrome.storage.local (localStorage without the bridge).
+     * Local rather than sync: alias lists can outgrow sync's per-item quota.
+     * 
+     * @returns {void}
+     */
+    saveUserAliases() {
+        ExtensionStorage.set('sleeper-helper-aliases', this.userAliases).then(saved => {
+            if (!saved) this.log('Failed to save aliases', 'warn');
+        });
+    }
+
+    /**
+     * Loads settings, aliases and queue history from extension storage
+     * (moving any left in sleeper.com's localStorage) and follows changes made
+     * in other tabs or synced from other machines.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadStoredData() {
+        const backend = await ExtensionStorage.load({
+            'sleeper-helper-settings': 'sync',
+            'sleeper-helper-aliases': 'local',
+            'sleeper-helper-queue-history': 'local'
+        });
+        this.log(`Settings stored in ${backend === 'chrome' ? 'chrome.storage' : 'localStorage'}`);
+
+        ExtensionStorage.onChange((key) => {
+            if (key === 'sleeper-helper-settings') {
+                const previous = this.settings;
+                this.loadSettings();
+                this.log('Settings changed in another tab');
+
+                if (previous && (previous.fixtureMode !== this.settings.fixtureMode || previous.apiBaseURL !== this.settings.apiBaseURL)) {
+                    this.switchDataSource();
+                } else {
+                    SleeperAPI.getInstance().setRefreshPolicy(this.settings.playerRefreshHours);
+                }
+            } else if (key === 'sleeper-helper-aliases') {
+                this.loadUserAliases();
+                this.renderAliasList();
+            } else if (key === 'sleeper-helper-queue-history') {
+                this.loadQueueHistory();
+                this.renderQueueHistory();
+            }
+        });
+    }
+
+    /**
+     * Maps an input string to a specific Sleeper player.
+     * 
+     * @param {string} alias - Name as it appears in the cheatsheet
+     * @param {string} playerId - Sleeper player_id it should resolve to
+     * @param {string} [source='manual'] - 'manual' from the editor, 'auto' from a hand-resolved line
+     * @returns {void}
+     */
+    addUserAlias(alias, playerId, source = 'manual') {
+        const key = NameMatcher.nameKey(alias);
+        if (!key || !playerId) return;
+
+        const player = this.players?.[playerId];
+        this.userAliases = this.userAliases || {};
+        this.userAliases[key] = {
+            alias,
+            playerId,
+            name: player ? (player.full_name || `${player.first_name} ${player.last_name}`) : playerId,
+            source,
+            createdAt: Date.now()
+        };
+        this.saveUserAliases();
+        this.log(`Alias saved: "${alias}" → ${this.userAliases[key].name} (${playerId}, ${source})`);
+    }
+
+    /**
+     * Removes a user alias.
+     * 
+     * @param {string} key - Alias key (NameMatcher.nameKey of the alias)
+     * @returns {void}
+     */
+    removeUserAlias(key) {
+        if (this.userAliases && this.userAliases[key]) {
+            delete this.userAliases[key];
+            this.saveUserAliases();
+        }
+    }
+
+    /**
+     * Returns user aliases in the { nameKey: playerId } shape NameMatcher expects.
+     * 
+     * @returns {Object} Alias map for NameMatcher.findPlayerMatches
+     */
+    getUserAliasMap() {
+        const map = {};
+        for (const [key, alias] of Object.entries(this.userAliases || {})) {
+            map[key] = alias.playerId;
+        }
+        return map;
+    }
+
+    /**
+     * Finds players for the alias editor by exact player_id or by name.
+     * 
+     * @param {string} query - Player name or player_id
+     * @returns {Array} Up to 8 matching players with playerId set
+     */
+    lookupPlayersForAlias(query) {
+        if (!query || !this.players) return [];
+
+        if (this.players[query]) {
+            const player = this.players[query];
+            return [{ ...player, playerId: query, full_name: player.full_name || `${player.first_name} ${player.last_name}` }];
+        }
+
+        return NameMatcher.findPlayerMatches(query, this.players, { requireActive: false, preferActive: true })
+            .slice(0, 8);
+    }
+
+    /**
+     * Renders the saved aliases into the settings panel.
+     * 
+     * @param {HTMLElement} [listEl] - Alias list container, defaults to #alias-list
+     * @returns {void}
+     */
+    renderAliasList(listEl = document.getElementById('alias-list')) {
+        if (!listEl) return;
+
+        const entries = Object.entries(this.userAliases || {})
+            .sort((a, b) => a[1].alias.localeCompare(b[1].alias));
+
+        if (entries.length === 0) {
+            listEl.innerHTML = '<div class="setting-help">No aliases yet.</div>';
+            return;
+        }
+
+        listEl.innerHTML = entries.map(([key, alias]) => `
+            <div class="alias-row">
+                <span class="alias-name">${this.escapeHtml(alias.alias)}</span> → ${this.escapeHtml(alias.name)}
+                <span class="alias-source">${alias.source === 'auto' ? 'auto' : ''}</span>
+                <button class="picker-change" data-action="remove-alias" data-key="${this.escapeHtml(key)}">remove</button>
+            </div>`).join('');
+    }
+
+    /**
+     * Downloads user aliases as a JSON file.
+     * 
+     * @returns {void}
+     */
+    exportUserAliases() {
+        const payload = JSON.stringify({ version: 1, aliases: this.userAliases || {} }, null, 2);
+        const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'sleeper-helper-aliases.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Merges aliases from an exported JSON file into the saved aliases.
+     * 
+     * @param {File} file - JSON file produced by exportUserAliases
+     * @async
+     * @returns {Promise<void>}
+     */
+    async importUserAliases(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const entries = data && data.aliases && typeof data.aliases === 'object' ? Object.keys(data.aliases).length : 0;
+            const imported = this.sanitizeUserAliases(data && data.aliases);
+            this.userAliases = { ...(this.userAliases || {}), ...imported };
+            this.saveUserAliases();
+            this.log(`Imported ${Object.keys(imported).length} aliases`);
+            if (Object.keys(imported).length < entries) {
+                this.log(`Skipped ${entries - Object.keys(imported).length} malformed aliases`, 'warn');
+            }
+        } catch (error) {
+            this.log(`Failed to import aliases: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Plays a notification sound if sound notifications are enabled in settings.
+     * 
+     * @returns {void}
+     */
+    playNotificationSound() {
+        if (this.settings?.soundNotifications) {
+            try {
+                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                const oscillator = audioContext.createOscillator();
+                const gainNode = audioContext.createGain();
+                
+                oscillator.connect(gainNode);
+                gainNode.connect(audioContext.destination);
+                
+                oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
+                oscillator.frequency.setValueAtTime(600, audioContext.currentTime + 0.1);
+                gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
+                
+                oscillator.start(audioContext.currentTime);
+                oscillator.stop(audioContext.currentTime + 0.3);
+            } catch (error) {
+                this.log('Could not play notification sound', 'warn');
+            }
+        }
+    }
+
+    /**
+     * Sets up resize handlers for the main interface container.
+     * Allows users to resize the interface by dragging the resize handle.
+     * 
+     * @param {HTMLElement} container - The main interface container
+     */
+    setupResizeHandlers(container) {
+        const resizeHandle = container.querySelector('.sleeper-resize-handle');
+        let isResizing = false;
+        let startX, startY, startWidth, startHeight;
+
+        resizeHandle.addEventListener('mousedown', (e) => {
+            isResizing = true;
+            startX = e.clientX;
+            startY = e.clientY;
+            startWidth = parseInt(document.defaultView.getComputedStyle(container).width, 10);
+            startHeight = parseInt(document.defaultView.getComputedStyle(container).height, 10);
+            
+            document.addEventListener('mousemove', handleResize);
+            document.addEventListener('mouseup', stopResize);
+            e.preventDefault();
+        });
+
+        function handleResize(e) {
+            if (!isResizing) return;
+            
+            const newWidth = Math.max(600, startWidth + e.clientX - startX);
+            const newHeight = Math.max(300, startHeight + e.clientY - startY);
+            
+            container.style.width = newWidth + 'px';
+            container.style.height = newHeight + 'px';
+            
+            // Adjust content height
+            const header = container.querySelector('.sleeper-header');
+            const headerHeight = header.offsetHeight;
+            const content = container.querySelector('.sleeper-content');
+            content.style.maxHeight = (newHeight - headerHeight - 20) + 'px';
+        }
+
+        function stopResize() {
+            isResizing = false;
+            document.removeEventListener('mousemove', handleResize);
+            document.removeEventListener('mouseup', stopResize);
+        }
+    }
+
+    /**
+     * Toggles the visibility of the main interface.
+     * 
+     * @returns {void}
+     */
+    toggleMainInterface() {
+        const main = document.getElementById('sleeper-helper-main');
+        if (main.classList.contains('hidden')) {
+            main.classList.remove('hidden');
+
+            // Sleeper navigates between drafts and leagues without reloading the page
+            if (this.contextUrl !== location.href) {
+                this.loadPageContext();
+            }
+        } else {
+            main.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Analyzes player names from input text against the Sleeper player database.
+     * Displays match results with confidence scores and player information.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async analyzePlayers() {
+        const input = document.getElementById('player-input');
+        const results = document.getElementById('analysis-results');
+        const analyzeBtn = document.getElementById('analyze-players');
+        
+        const entries = this.parseInput(input.value);
+
+        if (entries.length === 0) {
+            this.showError(results, 'Please enter player names');
+            return;
+        }
+
+        if (!this.ensurePlayers(results, () => this.analyzePlayers())) return;
 
         // Enhanced loading state
         this.setButtonLoading(analyzeBtn, true);
         results.className = 'sleeper-results loading';
+        // Trending data is only a hint, so fill the badges in when it arrives instead of holding up matching
+        this.loadTrending().then(() => this.refreshTrendingBadges());
         results.innerHTML = `
-            <div class="loading">Analyzing ${playerNames.length} players...</div>
+            <div class="loading">Analyzing ${entries.length} players...</div>
             <div class="sleeper-progress">
                 <div class="sleeper-progress-bar" id="analysis-progress"></div>
             </div>
@@ -580,38 +1599,37 @@ async loadPlayers() {
             const analysis = [];
             const progressBar = document.getElementById('analysis-progress');
 
-            for (let i = 0; i < playerNames.length; i++) {
-                const name = playerNames[i];
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                const name = entry.name;
                 
                 // Update progress
-                const progress = ((i + 1) / playerNames.length) * 100;
+                const progress = ((i + 1) / entries.length) * 100;
                 if (progressBar) {
                     progressBar.style.width = `${progress}%`;
                 }
                 
                 // Update status
-                results.querySelector('.loading').textContent = `Analyzing ${name}... (${i + 1}/${playerNames.length})`;
+                results.querySelector('.loading').textContent = `Analyzing ${name}... (${i + 1}/${entries.length})`;
                 
                 try {
-                    const matches = NameMatcher.findPlayerMatches(name, this.players, { requireActive: false, preferActive: true });
-                    analysis.push({
-                        input: name,
-                        matches: matches,
-                        bestMatch: matches[0] || null
-                    });
+                    const matches = NameMatcher.findPlayerMatches(name, this.players, this.buildMatchOptions(entry));
+                    analysis.push(this.buildAnalysisItem(entry, matches));
                 } catch (matchError) {
                     this.log(`Error matching player ${name}: ${matchError.message}`, 'warn');
                     analysis.push({
                         input: name,
+                        entry,
+                        rank: entry.rank,
                         matches: [],
                         bestMatch: null,
                         error: matchError.message
                     });
                 }
                 
-                // Small delay for smoother UI updates
-                if (i < playerNames.length - 1) {
-                    await this.delay(50);
+                // Matching is indexed, so only yield now and then to let the progress bar repaint
+                if ((i + 1) % 25 === 0 && i < entries.length - 1) {
+                    await this.delay(0);
                 }
             }
 
@@ -627,6 +1645,258 @@ async loadPlayers() {
         }
     }
 
+    /**
+     * Parses the textarea contents into cheatsheet entries. Plain lists yield one
+     * entry per line; CSV/TSV exports with a header row also carry team, position,
+     * rank, tier and bye columns.
+     * 
+     * @param {string} text - Raw textarea contents
+     * @returns {Array} Array of cheatsheet entries from CheatsheetParser
+     */
+    parseInput(text) {
+        const parsed = CheatsheetParser.parse(text);
+        if (parsed.format !== 'list') {
+            this.log(`Parsed ${parsed.format.toUpperCase()} cheatsheet with columns: ${parsed.columns.join(', ')}`);
+        }
+        return parsed.entries;
+    }
+
+    /**
+     * Builds NameMatcher options for a cheatsheet entry, passing along any
+     * team and position hints so same-name players can be told apart.
+     * 
+     * @param {Object} entry - Cheatsheet entry from CheatsheetParser
+     * @returns {Object} Options for NameMatcher.findPlayerMatches
+     */
+    buildMatchOptions(entry) {
+        return {
+            requireActive: false,
+            preferActive: true,
+            preferredPositions: entry.position ? [entry.position] : null,
+            team: entry.team,
+            userAliases: this.getUserAliasMap()
+        };
+    }
+
+    /**
+     * Builds the analysis result for one cheatsheet entry. When NameMatcher
+     * cannot pick a single player, or only has fuzzy suggestions for a typo,
+     * the line is held for the user to choose from the candidates instead of
+     * silently taking the first match.
+     * 
+     * @param {Object} entry - Cheatsheet entry from CheatsheetParser
+     * @param {Array} matches - Sorted matches from NameMatcher.findPlayerMatches
+     * @returns {Object} Analysis item with bestMatch, or candidates awaiting a choice
+     */
+    buildAnalysisItem(entry, matches) {
+        const suggested = matches.length > 0 && matches[0].suggested === true;
+        const best = suggested ? null : NameMatcher.selectBestMatch(matches);
+        const needsChoice = suggested || !!best?.needsDisambiguation;
+
+        return {
+            input: entry.name,
+            entry,
+            rank: entry.rank,
+            matches: matches,
+            bestMatch: needsChoice ? null : best,
+            candidates: needsChoice ? matches.slice(0, 5) : [],
+            needsChoice,
+            suggested,
+            resolution: null // 'chosen' or 'skipped' once the user decides
+        };
+    }
+
+    /**
+     * Applies the user's choice for an ambiguous analysis line and re-renders
+     * the results.
+     * 
+     * @param {number} index - Index of the line in the current analysis
+     * @param {string|null} playerId - Chosen candidate's player ID, or null to skip the line
+     */
+    resolveAmbiguity(index, playerId) {
+        const item = this.currentAnalysis?.[index];
+        if (!item) return;
+
+        if (playerId) {
+            item.bestMatch = item.candidates.find(c => c.playerId === playerId) || null;
+            item.resolution = item.bestMatch ? 'chosen' : null;
+            this.log(`Resolved "${item.input}" to ${item.bestMatch?.full_name}`);
+
+            // Remember the choice so this name resolves the same way next time
+            if (item.bestMatch) {
+                this.addUserAlias(item.input, playerId, 'auto');
+                this.renderAliasList();
+            }
+        } else if (item.manual) {
+            // Cancelling a manual search puts the line back to "No match found"
+            item.needsChoice = false;
+            item.manual = false;
+            item.candidates = [];
+        } else {
+            item.bestMatch = null;
+            item.resolution = 'skipped';
+            this.log(`Skipped ambiguous line "${item.input}"`);
+        }
+
+        this.displayAnalysisResults(this.currentAnalysis);
+    }
+
+    /**
+     * Reopens the picker for a previously resolved or skipped line.
+     * 
+     * @param {number} index - Index of the line in the current analysis
+     */
+    reopenAmbiguity(index) {
+        const item = this.currentAnalysis?.[index];
+        if (!item || !item.needsChoice) return;
+
+        item.bestMatch = null;
+        item.resolution = null;
+        this.displayAnalysisResults(this.currentAnalysis);
+    }
+
+    /**
+     * Opens a manual player search for a line that had no match.
+     * 
+     * @param {number} index - Index of the line in the current analysis
+     */
+    openManualSearch(index) {
+        const item = this.currentAnalysis?.[index];
+        if (!item) return;
+
+        item.needsChoice = true;
+        item.manual = true;
+        item.candidates = [];
+        item.resolution = null;
+        this.displayAnalysisResults(this.currentAnalysis);
+        document.querySelector(`.picker-search[data-index="${index}"]`)?.focus();
+    }
+
+    /**
+     * Runs the manual player search for an unmatched line and shows candidates
+     * without re-rendering the whole results list (so the input keeps focus).
+     * 
+     * @param {number} index - Index of the line in the current analysis
+     * @param {string} query - Name typed by the user
+     */
+    updateManualSearch(index, query) {
+        const item = this.currentAnalysis?.[index];
+        const target = document.querySelector(`.picker-search-results[data-index="${index}"]`);
+        if (!item || !target) return;
+
+        item.candidates = query.trim().length >= 2
+            ? NameMatcher.findPlayerMatches(query, this.players, { requireActive: false, preferActive: true }).slice(0, 5)
+            : [];
+        target.innerHTML = this.renderPickerOptions(item, index);
+    }
+
+    /**
+     * Returns analysis lines that still need the user to pick a player or skip.
+     * Manual searches on unmatched lines are optional and never block queueing.
+     * 
+     * @returns {Array} Unresolved ambiguous analysis items
+     */
+    getUnresolvedAmbiguities() {
+        return (this.currentAnalysis || []).filter(item => item.needsChoice && !item.resolution && !item.manual);
+    }
+
+    /**
+     * Renders the candidate picker for an ambiguous analysis line.
+     * 
+     * @param {Object} item - Ambiguous analysis item
+     * @param {number} index - Index of the line in the current analysis
+     * @returns {string} HTML for the picker
+     */
+    renderDisambiguationPicker(item, index) {
+        if (item.manual) {
+            return `
+            <div class="sleeper-picker">
+                <input type="text" class="picker-search" data-index="${index}" placeholder="Type the player's name" />
+                <div class="picker-search-results" data-index="${index}">${this.renderPickerOptions(item, index)}</div>
+                <button class="sleeper-btn picker-skip" data-action="skip" data-index="${index}">Cancel</button>
+            </div>`;
+        }
+
+        const skipLabel = item.suggested ? 'Reject suggestion' : 'Skip this line';
+
+        return `
+            <div class="sleeper-picker">
+                ${this.renderPickerOptions(item, index)}
+                <button class="sleeper-btn picker-skip" data-action="skip" data-index="${index}">${skipLabel}</button>
+            </div>`;
+    }
+
+    /**
+     * Renders the candidate radio options for a picker.
+     * 
+     * @param {Object} item - Analysis item with candidates
+     * @param {number} index - Index of the line in the current analysis
+     * @returns {string} HTML for the options
+     */
+    renderPickerOptions(item, index) {
+        return item.candidates.map(candidate => {
+            const confidence = ` <span class="confidence" title="${this.formatConfidenceBreakdown(candidate)}">${Math.round(candidate.confidence * 100)}%</span>`;
+            return `
+            <label class="picker-option">
+                <input type="radio" name="pick-${index}" value="${candidate.playerId}" data-index="${index}" />
+                <span class="picker-name">${candidate.full_name}</span>
+                <span class="picker-details">${candidate.position} · ${candidate.team || 'FA'} · Age ${candidate.age ?? '?'} · ${candidate.status || 'Unknown'}</span>${confidence}
+            </label>`;
+        }).join('');
+    }
+
+    /**
+     * Formats a player's position and team for display, e.g. "WR, PIT" or "WR, FA".
+     * 
+     * @param {Object} player - Matched player object
+     * @returns {string} Position and team label
+     */
+    formatPlayerDetails(player) {
+        return `${player.position}, ${player.team || 'FA'}`;
+    }
+
+    /**
+     * Summarizes why a match got its confidence score, e.g.
+     * "exact name +75 · name closeness 100% +20 · not active −15".
+     * 
+     * @param {Object} match - Matched player object from NameMatcher
+     * @returns {string} Plain-text breakdown, or an empty string if the match has none
+     */
+    formatConfidenceBreakdown(match) {
+        if (!match.confidenceBreakdown) return '';
+        return match.confidenceBreakdown
+            .map(factor => `${factor.reason} ${factor.points < 0 ? '−' : '+'}${Math.round(Math.abs(factor.points) * 100)}`)
+            .join(' · ');
+    }
+
+    /**
+     * Builds a label for the team/position hints that picked this player over
+     * same-name alternatives, or an empty string if the name alone decided it.
+     * 
+     * @param {Object} match - Matched player object from NameMatcher
+     * @returns {string} HTML label for the deciding hints
+     */
+    formatDecidingHints(match) {
+        if (!match.decidedBy || match.decidedBy.length === 0) return '';
+        const hints = match.decidedBy.map(d => `${d.hint} ${d.value}`).join(' + ');
+        return ` <span class="hint-tag" title="Chosen over same-name players using the ${hints} hint">via ${hints}</span>`;
+    }
+
+    /**
+     * Orders analyzed players by their cheatsheet rank so the queue follows the
+     * rankings. Entries without a rank keep their list order after ranked ones.
+     * 
+     * @param {Array} analysis - Array of analysis results
+     * @returns {Array} New array sorted by rank
+     */
+    orderByRank(analysis) {
+        return [...analysis].sort((a, b) => {
+            const rankA = a.rank ?? Infinity;
+            const rankB = b.rank ?? Infinity;
+            return rankA === rankB ? 0 : rankA - rankB;
+        });
+    }
+
     /**
      * Displays the results of player analysis in a formatted HTML structure.
      * Shows match quality, player details, and enables queue operations.
@@ -636,41 +1906,233 @@ async loadPlayers() {
     displayAnalysisResults(analysis) {
         const results = document.getElementById('analysis-results');
         
+        this.currentAnalysis = analysis;
+        
         // Count how many players were actually found (have matches)
         const foundCount = analysis.filter(item => item.bestMatch).length;
         const totalCount = analysis.length;
+        const unresolvedCount = this.getUnresolvedAmbiguities().length;
         
         let html = `<div class="analysis-summary">Found ${foundCount} out of ${totalCount} players:</div>`;
+        if (unresolvedCount > 0) {
+            html += `<div class="picker-note">⚠️ ${unresolvedCount} line${unresolvedCount === 1 ? '' : 's'} need${unresolvedCount === 1 ? 's' : ''} your review (several possible players, or a suggested spelling). Pick the right player or skip the line before queueing.</div>`;
+        }
         
         analysis.forEach((item, index) => {
             const bestMatch = item.bestMatch;
             
-            if (bestMatch) {
+            const rankLabel = item.rank !== null && item.rank !== undefined
+                ? `<span class="rank">#${item.rank}</span> ` : '';
+            const tierLabel = item.entry?.tier ? ` <span class="tier">Tier ${item.entry.tier}</span>` : '';
+            
+            const changeButton = item.needsChoice
+                ? ` <button class="picker-change" data-action="change" data-index="${index}">change</button>` : '';
+            
+            if (item.needsChoice && !item.resolution) {
+                const prompt = item.manual
+                    ? 'Find the player:'
+                    : item.suggested
+                    ? 'No exact match. <span class="suggested-tag">suggested</span> Did you mean:'
+                    : 'Which player did you mean?';
+                html += `<div class="result-item ambiguous" data-index="${index}">
+                    <div class="player-match">${rankLabel}${item.input} → ${prompt}${tierLabel}</div>
+                    ${this.renderDisambiguationPicker(item, index)}
+                </div>`;
+            } else if (item.resolution === 'skipped') {
+                html += `<div class="result-item skipped">
+                    <div class="player-match">${rankLabel}${item.input} → Skipped${changeButton}</div>
+                </div>`;
+            } else if (bestMatch) {
                 const confidence = Math.round(bestMatch.confidence * 100);
                 const confidenceClass = confidence >= 80 ? 'high' : confidence >= 60 ? 'medium' : 'low';
+                const chosenTag = item.resolution !== 'chosen' ? ''
+                    : item.suggested ? ' <span class="suggested-tag">suggested · accepted</span>'
+                    : ' <span class="hint-tag">your pick</span>';
                 
                 html += `<div class="result-item ${confidenceClass}">
                     <div class="player-match">
-                        ${item.input} → ${bestMatch.full_name} (${bestMatch.position}) 
-                        <span class="confidence">${confidence}%</span>
+                        ${rankLabel}${item.input} → ${bestMatch.full_name} (${this.formatPlayerDetails(bestMatch)}) 
+                        <span class="confidence">${confidence}%</span>${tierLabel}<span class="trending-slot" data-player-id="${bestMatch.playerId}">${this.formatTrendingTag(bestMatch.playerId)}</span>${this.formatDecidingHints(bestMatch)}${chosenTag}${changeButton}
+                        <div class="confidence-breakdown">${this.formatConfidenceBreakdown(bestMatch)}</div>
                     </div>
                 </div>`;
             } else {
                 html += `<div class="result-item error">
-                    <div class="player-match">${item.input} → No match found</div>
+                    <div class="player-match">${rankLabel}${item.input} → No match found
+                        <button class="picker-change" data-action="find" data-index="${index}">find player</button>
+                    </div>
                 </div>`;
             }
         });
 
         results.innerHTML = html;
         
-        // Store analysis for queue manipulation
-        this.lastAnalysis = analysis.filter(item => item.bestMatch);
+        // Store analysis for queue manipulation, in cheatsheet rank order
+        this.lastAnalysis = this.orderByRank(analysis.filter(item => item.bestMatch));
         
-        // Update button state
+        // Update button state; queueing waits until every ambiguous line is resolved or skipped
         const queueBtn = document.getElementById('queue-players');
-        queueBtn.disabled = this.lastAnalysis.length === 0;
-        queueBtn.textContent = `Add ${this.lastAnalysis.length} Players to Queue`;
+        const syncBtn = document.getElementById('sync-queue');
+        const reorderBtn = document.getElementById('reorder-queue');
+        if (unresolvedCount > 0) {
+            queueBtn.disabled = true;
+            queueBtn.textContent = `Resolve ${unresolvedCount} Ambiguous Player${unresolvedCount === 1 ? '' : 's'}`;
+            syncBtn.disabled = true;
+            reorderBtn.disabled = true;
+        } else {
+            queueBtn.disabled = this.lastAnalysis.length === 0;
+            queueBtn.textContent = `Add ${this.lastAnalysis.length} Players to Queue`;
+            syncBtn.disabled = this.lastAnalysis.length === 0;
+            reorderBtn.disabled = this.lastAnalysis.length === 0;
+        }
+        this.pendingSync = null;
+        // A new list makes a cancelled queue run's position meaningless
+        if (this.resumeState?.kind === 'queue') this.resumeState = null;
+
+        this.renderTrendingPanel();
+    }
+
+    /**
+     * Loads Sleeper's trending adds and drops. Failures leave the previous
+     * lists in place, since trending data is only a hint.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadTrending() {
+        const api = SleeperAPI.getInstance();
+        try {
+            const [adds, drops] = await Promise.all([
+                api.getTrendingPlayers('add', this.trendingOptions),
+                api.getTrendingPlayers('drop', this.trendingOptions)
+            ]);
+            const toMap = (list) => new Map((list || []).map((entry, index) => [String(entry.player_id), { count: entry.count, rank: index + 1 }]));
+            this.trending = { add: toMap(adds), drop: toMap(drops) };
+        } catch (error) {
+            this.log(`Failed to load trending players: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Fills in the trending badges and panel of the results already on screen,
+     * for trending data that arrived after the analysis was rendered.
+     * 
+     * @returns {void}
+     */
+    refreshTrendingBadges() {
+        const results = document.getElementById('analysis-results');
+        results?.querySelectorAll('.trending-slot').forEach(slot => {
+            slot.innerHTML = this.formatTrendingTag(slot.dataset.playerId);
+        });
+        this.renderTrendingPanel();
+    }
+
+    /**
+     * Builds the trending badge for a matched player, if they are trending.
+     * 
+     * @param {string} playerId - Sleeper player_id
+     * @returns {string} Badge HTML, or an empty string
+     */
+    formatTrendingTag(playerId) {
+        const hours = this.trendingOptions.lookbackHours;
+        const added = this.trending.add.get(String(playerId));
+        if (added) {
+            return ` <span class="trending-tag up" title="Added in ${added.count.toLocaleString()} leagues in the last ${hours} h (#${added.rank} most added)">🔥 +${this.formatCount(added.count)}</span>`;
+        }
+
+        const dropped = this.trending.drop.get(String(playerId));
+        if (dropped) {
+            return ` <span class="trending-tag down" title="Dropped in ${dropped.count.toLocaleString()} leagues in the last ${hours} h (#${dropped.rank} most dropped)">📉 −${this.formatCount(dropped.count)}</span>`;
+        }
+        return '';
+    }
+
+    /**
+     * Formats a large count compactly, e.g. 950 -> "950", 12345 -> "12.3k".
+     * 
+     * @param {number} count - Count to format
+     * @returns {string} Compact count
+     */
+    formatCount(count) {
+        return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+    }
+
+    /**
+     * Lists the most added players that aren't on the analyzed list, each with
+     * an "add to list" button.
+     * 
+     * @returns {void}
+     */
+    renderTrendingPanel() {
+        const panel = document.getElementById('trending-panel');
+        if (!panel) return;
+
+        const onList = new Set((this.currentAnalysis || [])
+            .map(item => item.bestMatch?.playerId)
+            .filter(Boolean)
+            .map(String));
+
+        const missing = [...this.trending.add.entries()]
+            .filter(([playerId]) => !onList.has(playerId) && this.players?.[playerId])
+            .slice(0, 10);
+
+        if (!this.currentAnalysis || missing.length === 0) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+
+        const rows = missing.map(([playerId, trend]) => {
+            const player = this.players[playerId];
+            const name = player.full_name || `${player.first_name} ${player.last_name}`;
+            return `<div class="trending-row">
+                <span class="trending-name">${this.escapeHtml(name)} (${this.escapeHtml(this.formatPlayerDetails(player))})</span>
+                <span class="trending-tag up" title="Added in ${trend.count.toLocaleString()} leagues">🔥 +${this.formatCount(trend.count)}</span>
+                <button class="picker-change" data-action="add-trending" data-player-id="${this.escapeHtml(playerId)}">add to list</button>
+            </div>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <h5>🔥 Trending adds not on your list <span class="trending-window">last ${this.trendingOptions.lookbackHours} h</span></h5>
+            ${rows}
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Adds a trending player to the list: appends a line to the input (with
+     * position and team, so re-analyzing finds the same player) and adds the
+     * player to the current analysis without re-running it.
+     * 
+     * @param {string} playerId - Sleeper player_id
+     * @returns {void}
+     */
+    addTrendingToList(playerId) {
+        const player = this.players?.[playerId];
+        if (!player || !this.currentAnalysis) return;
+
+        const name = player.full_name || `${player.first_name} ${player.last_name}`;
+        const line = [name, player.position, player.team].filter(Boolean).join(' ');
+        const input = document.getElementById('player-input');
+        if (input) {
+            input.value = input.value.trim() ? `${input.value.replace(/\s+$/, '')}\n${line}` : line;
+        }
+
+        const entry = { name, team: player.team || null, position: player.position || null, rank: null, tier: null, bye: null };
+        const matches = NameMatcher.findPlayerMatches(name, this.players, this.buildMatchOptions(entry));
+        const item = this.buildAnalysisItem(entry, matches);
+
+        // The player was picked by id, so don't ask which same-name player was meant
+        const match = matches.find(m => String(m.playerId) === String(playerId));
+        if (match) {
+            item.bestMatch = match;
+            item.needsChoice = false;
+            item.candidates = [];
+        }
+
+        this.log(`Added trending player ${name} to the list`);
+        this.currentAnalysis.push(item);
+        this.displayAnalysisResults(this.currentAnalysis);
     }
 
     /**
@@ -684,15 +2146,15 @@ async loadPlayers() {
         const input = document.getElementById('player-input');
         const results = document.getElementById('analysis-results');
         
-        const playerNames = input.value.split('\n')
-            .map(name => name.trim())
-            .filter(name => name.length > 0);
+        const entries = this.parseInput(input.value);
 
-        if (playerNames.length === 0) {
+        if (entries.length === 0) {
             results.innerHTML = '<div class="error">Please enter player names to validate against queue</div>';
             return;
         }
 
+        if (!this.ensurePlayers(results, () => this.validateQueue())) return;
+
         results.innerHTML = '<div class="loading">Validating queue...</div>';
 
         try {
@@ -702,10 +2164,12 @@ async loadPlayers() {
 
             // Analyze input players
             const inputAnalysis = [];
-            for (const name of playerNames) {
-                const matches = NameMatcher.findPlayerMatches(name, this.players, { requireActive: false, preferActive: true });
+            for (const entry of entries) {
+                const matches = NameMatcher.findPlayerMatches(entry.name, this.players, this.buildMatchOptions(entry));
                 inputAnalysis.push({
-                    input: name,
+                    input: entry.name,
+                    entry,
+                    rank: entry.rank,
                     matches: matches,
                     bestMatch: matches[0] || null
                 });
@@ -722,15 +2186,15 @@ async loadPlayers() {
     }
 
     /**
-     * Compares analyzed input players with the current queue to determine
-     * which players are already queued and which are not.
+     * Compares analyzed input players with the current queue by Sleeper player_id
+     * to determine which players are already queued and which are not.
      * 
      * @param {Array} inputAnalysis - Array of analyzed input players
-     * @param {Array} queuedPlayers - Array of currently queued players
+     * @param {Array} queuedPlayers - Array of currently queued players from findQueuedPlayers
      * @returns {Object} Object containing inQueue, notInQueue, and invalidInputs arrays
      */
     compareInputWithQueue(inputAnalysis, queuedPlayers) {
-        const queueNames = queuedPlayers.map(q => q.name.toLowerCase());
+        const queuedIds = new Set(queuedPlayers.map(q => q.playerId).filter(Boolean));
         
         const inQueue = [];
         const notInQueue = [];
@@ -742,10 +2206,7 @@ async loadPlayers() {
                 continue;
             }
 
-            const playerName = item.bestMatch.full_name.toLowerCase();
-            const isQueued = queueNames.some(queueName => 
-                this.namesMatch(playerName, queueName)
-            );
+            const isQueued = queuedIds.has(PlayerIdentity.idOf(item.bestMatch));
 
             if (isQueued) {
                 inQueue.push({
@@ -765,60 +2226,6 @@ async loadPlayers() {
         return { inQueue, notInQueue, invalidInputs };
     }
 
-    /**
-     * Compares two player names for matching using various normalization
-     * and fuzzy matching techniques.
-     * 
-     * @param {string} name1 - First player name to compare
-     * @param {string} name2 - Second player name to compare
-     * @returns {boolean} True if names match, false otherwise
-     */
-    namesMatch(name1, name2) {
-        // Simple name matching - enhanced for better matching
-        const normalize = name => name.toLowerCase().replace(/[^a-z\s]/g, '').trim();
-        const n1 = normalize(name1);
-        const n2 = normalize(name2);
-        
-        // Exact match
-        if (n1 === n2) return true;
-        
-        // Split into words
-        const words1 = n1.split(/\s+/).filter(w => w.length > 0);
-        const words2 = n2.split(/\s+/).filter(w => w.length > 0);
-        
-        // If either name has only one word, check if it's contained in the other
-        if (words1.length === 1 || words2.length === 1) {
-            return n1.includes(n2) || n2.includes(n1);
-        }
-        
-        // If both have multiple words, check various combinations
-        if (words1.length >= 2 && words2.length >= 2) {
-            // Check if first and last words match
-            const firstMatch = words1[0] === words2[0];
-            const lastMatch = words1[words1.length - 1] === words2[words2.length - 1];
-            
-            if (firstMatch && lastMatch) return true;
-            
-            // Check if first name of one matches first name of other, and any other word matches
-            if (firstMatch) {
-                for (let i = 1; i < words1.length; i++) {
-                    for (let j = 1; j < words2.length; j++) {
-                        if (words1[i] === words2[j]) return true;
-                    }
-                }
-            }
-        }
-        
-        // Check if one name is a subset of the other (useful for nicknames)
-        const allWords1 = words1.join(' ');
-        const allWords2 = words2.join(' ');
-        if (allWords1.includes(allWords2) || allWords2.includes(allWords1)) {
-            return true;
-        }
-        
-        return false;
-    }
-
     /**
      * Displays validation results comparing input players with current queue.
      * Shows which players are already queued, not queued, or invalid.
@@ -889,43 +2296,81 @@ async loadPlayers() {
 
     /**
      * Queues all previously analyzed players by attempting to add them to the draft queue.
-     * Shows progress and results for each player addition attempt.
+     * Players already in the queue (clicking their queue action would toggle them
+     * off) or already drafted are skipped. Shows progress and results for each player.
+     * The run can be paused or cancelled from the progress area; a cancelled run
+     * can be resumed from the player it stopped at.
      * 
+     * @param {boolean} [resume=false] - Continue the last cancelled run instead of starting over
      * @async
      * @returns {Promise<void>}
      */
-    async queuePlayers() {
+    async queuePlayers(resume = false) {
+        if (this.operation) {
+            this.log(`A ${this.operation.kind} operation is already running`, 'warn');
+            return;
+        }
+
+        const unresolved = this.getUnresolvedAmbiguities();
+        if (unresolved.length > 0) {
+            this.log(`${unresolved.length} ambiguous players must be picked or skipped before queueing`, 'warn');
+            document.querySelector('#analysis-results .result-item.ambiguous')
+                ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+
         if (!this.lastAnalysis || this.lastAnalysis.length === 0) {
             this.log('No analyzed players to queue', 'error');
             this.showError(document.getElementById('analysis-results'), 'No analyzed players to queue');
             return;
         }
 
-        this.log(`Starting queue operation for ${this.lastAnalysis.length} players`);
+        const resumeFrom = resume && this.resumeState?.kind === 'queue' ? this.resumeState : null;
+        this.resumeState = null;
+        const startIndex = resumeFrom ? resumeFrom.nextIndex : 0;
+
+        this.log(resumeFrom
+            ? `Resuming queue operation at player ${startIndex + 1}/${this.lastAnalysis.length}`
+            : `Starting queue operation for ${this.lastAnalysis.length} players`);
         const results = document.getElementById('analysis-results');
         const queueBtn = document.getElementById('queue-players');
+        const operation = this.startOperation('queue');
         
         // Enhanced loading state with progress
         this.setButtonLoading(queueBtn, true);
         results.className = 'sleeper-results loading';
         results.innerHTML = `
-            <div class="loading">Adding ${this.lastAnalysis.length} players to queue...</div>
+            <div class="loading">Adding ${this.lastAnalysis.length - startIndex} players to queue...</div>
             <div class="sleeper-progress">
                 <div class="sleeper-progress-bar" id="queue-progress"></div>
             </div>
             <div id="queue-status"></div>
+            ${this.renderOperationControls()}
         `;
 
         try {
-            let successCount = 0;
-            let failureCount = 0;
-            const queueResults = [];
+            let successCount = resumeFrom ? resumeFrom.successCount : 0;
+            let failureCount = resumeFrom ? resumeFrom.failureCount : 0;
+            const queueResults = resumeFrom ? resumeFrom.queueResults : [];
+            let stoppedAt = null;
             const progressBar = document.getElementById('queue-progress');
             const statusDiv = document.getElementById('queue-status');
 
-            for (let i = 0; i < this.lastAnalysis.length; i++) {
+            if (!resumeFrom) await this.takeQueueSnapshot('queue');
+
+            const queuedIds = new Set((await this.findQueuedPlayers()).map(q => q.playerId).filter(Boolean));
+            let draftedIds = await this.findDraftedIds();
+            this.log(`Skipping checks: ${queuedIds.size} players already queued, ${draftedIds.size} drafted`);
+
+            for (let i = startIndex; i < this.lastAnalysis.length; i++) {
+                if (await this.waitWhilePaused(operation, statusDiv)) {
+                    stoppedAt = i;
+                    break;
+                }
+
                 const analysis = this.lastAnalysis[i];
                 const player = analysis.bestMatch;
+                const playerId = PlayerIdentity.idOf(player);
                 
                 // Update progress
                 const progress = ((i + 1) / this.lastAnalysis.length) * 100;
@@ -934,13 +2379,40 @@ async loadPlayers() {
                 
                 this.log(`Processing player ${i + 1}/${this.lastAnalysis.length}: ${player.full_name}`);
 
+                // Players keep getting drafted during a live draft; picks are cached briefly, so this is cheap
+                draftedIds = await this.findDraftedIds();
+                if (draftedIds.has(playerId)) {
+                    queueResults.push({
+                        player: player.full_name,
+                        rank: analysis.rank,
+                        status: 'drafted',
+                        message: 'Already drafted'
+                    });
+                    this.log(`⏭️ Skipped ${player.full_name}: already drafted`);
+                    continue;
+                }
+
+                if (queuedIds.has(playerId)) {
+                    queueResults.push({
+                        player: player.full_name,
+                        rank: analysis.rank,
+                        status: 'queued',
+                        message: 'Already in queue'
+                    });
+                    this.log(`⏭️ Skipped ${player.full_name}: already in queue`);
+                    continue;
+                }
+
                 try {
-                    const success = await this.addPlayerToQueue(player.full_name);
+                    const success = await this.addPlayerToQueue(player);
                     
                     if (success) {
                         successCount++;
+                        // The same player listed twice must not be toggled back off
+                        queuedIds.add(playerId);
                         queueResults.push({
                             player: player.full_name,
+                            rank: analysis.rank,
                             status: 'success',
                             message: 'Added to queue'
                         });
@@ -949,6 +2421,7 @@ async loadPlayers() {
                         failureCount++;
                         queueResults.push({
                             player: player.full_name,
+                            rank: analysis.rank,
                             status: 'failed',
                             message: 'Could not find player on draft board'
                         });
@@ -958,6 +2431,7 @@ async loadPlayers() {
                     failureCount++;
                     queueResults.push({
                         player: player.full_name,
+                        rank: analysis.rank,
                         status: 'error',
                         message: error.message
                     });
@@ -970,9 +2444,17 @@ async loadPlayers() {
                 }
             }
 
+            // Keep what's needed to pick up from here
+            if (stoppedAt !== null) {
+                this.resumeState = { kind: 'queue', nextIndex: stoppedAt, queueResults, successCount, failureCount };
+                this.log(`Queue operation cancelled with ${this.lastAnalysis.length - stoppedAt} players left`, 'warn');
+            }
+
             // Display enhanced results
-            results.className = successCount > 0 ? 'sleeper-results success' : 'sleeper-results error';
-            this.displayQueueResults(queueResults, successCount, failureCount);
+            results.className = stoppedAt !== null ? 'sleeper-results'
+                : successCount > 0 || failureCount === 0 ? 'sleeper-results success' : 'sleeper-results error';
+            this.displayQueueResults(queueResults, successCount, failureCount,
+                stoppedAt !== null ? this.lastAnalysis.length - stoppedAt : 0);
             
             // Play notification sound if enabled
             if (successCount > 0) {
@@ -984,22 +2466,54 @@ async loadPlayers() {
             this.showError(results, `Queue operation failed: ${error.message}`);
             this.log(`Queue operation error: ${error.message}`, 'error');
         } finally {
+            this.finishOperation(operation);
             this.setButtonLoading(queueBtn, false);
         }
     }
 
+    /**
+     * Reads which players have been drafted so far. Picks are re-fetched (they
+     * change during a live draft); the draft loaded with the page is used if
+     * that fails.
+     * 
+     * @async
+     * @returns {Promise<Set<string>>} Drafted player ids; empty outside a draft room
+     */
+    async findDraftedIds() {
+        const draftId = this.draft?.draftId;
+        if (!draftId) return new Set();
+
+        try {
+            const picks = await SleeperAPI.getInstance().getDraftPicks(draftId);
+            return new Set((picks || []).map(pick => pick.player_id).filter(Boolean));
+        } catch (error) {
+            this.log(`Could not refresh draft picks, using the ones loaded with the page: ${error.message}`, 'warn');
+            return new Set(this.draft.draftedIds || []);
+        }
+    }
+
     /**
      * Clears all players from the draft queue by finding and clicking remove buttons.
-     * Rescans after each removal to handle dynamic queue updates.
+     * Rescans after each removal to handle dynamic queue updates. The run can be
+     * paused or cancelled from the progress area and resumed later.
      * 
+     * @param {boolean} [resume=false] - Continue the last cancelled run, keeping its results
      * @async
      * @returns {Promise<void>}
      */
-    async clearQueue() {
-        this.log('Starting queue clear operation...');
+    async clearQueue(resume = false) {
+        if (this.operation) {
+            this.log(`A ${this.operation.kind} operation is already running`, 'warn');
+            return;
+        }
+
+        const resumeFrom = resume && this.resumeState?.kind === 'clear' ? this.resumeState : null;
+        this.resumeState = null;
+        this.log(resumeFrom ? 'Resuming queue clear operation...' : 'Starting queue clear operation...');
         
         const results = document.getElementById('analysis-results');
         const clearBtn = document.getElementById('clear-queue');
+        const operation = this.startOperation('clear');
         
         // Enhanced loading state
         this.setButtonLoading(clearBtn, true);
@@ -1010,28 +2524,37 @@ async loadPlayers() {
                 <div class="sleeper-progress-bar" id="clear-progress"></div>
             </div>
             <div id="clear-status"></div>
+            ${this.renderOperationControls()}
         `;
 
         try {
             let queuedPlayers = await this.findQueuedPlayers();
             
-            if (queuedPlayers.length === 0) {
+            if (queuedPlayers.length === 0 && !resumeFrom) {
                 this.showInfo(results, 'No players found in queue to clear.');
                 this.log('No queued players found');
                 return;
             }
 
             this.log(`Found ${queuedPlayers.length} players in queue to clear`);
+            if (!resumeFrom) await this.takeQueueSnapshot('clear');
             
-            let successCount = 0;
-            let failureCount = 0;
-            const clearResults = [];
-            let totalPlayers = queuedPlayers.length;
+            let successCount = resumeFrom ? resumeFrom.successCount : 0;
+            let failureCount = resumeFrom ? resumeFrom.failureCount : 0;
+            const clearResults = resumeFrom ? resumeFrom.clearResults : [];
+            // Players handled before a resume count toward the total
+            let totalPlayers = clearResults.length + queuedPlayers.length;
+            let cancelled = false;
             const progressBar = document.getElementById('clear-progress');
             const statusDiv = document.getElementById('clear-status');
 
             // Process players one by one, re-scanning after each removal
             while (queuedPlayers.length > 0) {
+                if (await this.waitWhilePaused(operation, statusDiv)) {
+                    cancelled = true;
+                    break;
+                }
+
                 const queuedPlayer = queuedPlayers[0];
                 const currentIndex = totalPlayers - queuedPlayers.length + 1;
                 
@@ -1078,7 +2601,18 @@ async loadPlayers() {
                 // Re-scan for remaining queued players
                 queuedPlayers = await this.findQueuedPlayers();
                 this.log(`Re-scan found ${queuedPlayers.length} remaining players in queue`);
-                
+
+                // A click only counts once the player's id is gone from the queue
+                const lastResult = clearResults[clearResults.length - 1];
+                if (lastResult.status === 'success' && queuedPlayer.playerId &&
+                    queuedPlayers.some(q => q.playerId === queuedPlayer.playerId)) {
+                    successCount--;
+                    failureCount++;
+                    lastResult.status = 'failed';
+                    lastResult.message = 'Still in queue after clicking remove';
+                    this.log(`❌ ${queuedPlayer.name} is still in the queue`, 'warn');
+                }
+
                 // Safety check
                 if (currentIndex >= totalPlayers) {
                     this.log('Reached expected total, stopping');
@@ -1086,9 +2620,15 @@ async loadPlayers() {
                 }
             }
 
+            if (cancelled) {
+                this.resumeState = { kind: 'clear', clearResults, successCount, failureCount };
+                this.log(`Clear operation cancelled with ${queuedPlayers.length} players left`, 'warn');
+            }
+
             // Display enhanced results
-            results.className = successCount > 0 ? 'sleeper-results success' : 'sleeper-results error';
-            this.displayClearResults(clearResults, successCount, failureCount, totalPlayers);
+            results.className = cancelled ? 'sleeper-results'
+                : successCount > 0 ? 'sleeper-results success' : 'sleeper-results error';
+            this.displayClearResults(clearResults, successCount, failureCount, totalPlayers, cancelled ? queuedPlayers.length : 0);
             
             // Play notification sound if enabled
             if (successCount > 0) {
@@ -1100,10 +2640,124 @@ async loadPlayers() {
             this.showError(results, `Clear operation failed: ${error.message}`);
             this.log(`Clear operation error: ${error.message}`, 'error');
         } finally {
+            this.finishOperation(operation);
             this.setButtonLoading(clearBtn, false);
         }
     }
 
+    /**
+     * Starts tracking a long-running queue operation so it can be paused or
+     * cancelled from its progress area.
+     * 
+     * @param {string} kind - Operation name ('queue', 'clear', 'sync', 'reorder', 'restore')
+     * @returns {Object} Operation state: { kind, paused, cancelled }
+     */
+    startOperation(kind) {
+        this.operation = { kind, paused: false, cancelled: false };
+        return this.operation;
+    }
+
+    /**
+     * Stops tracking an operation once its loop has ended.
+     * 
+     * @param {Object} operation - Operation from startOperation
+     */
+    finishOperation(operation) {
+        if (this.operation === operation) {
+            this.operation = null;
+        }
+    }
+
+    /**
+     * Checkpoint for operation loops, called before each player: waits while
+     * the operation is paused.
+     * 
+     * @param {Object} operation - Operation from startOperation
+     * @param {HTMLElement|null} statusDiv - Progress status line to show the paused state in
+     * @async
+     * @returns {Promise<boolean>} True if the operation was cancelled and the loop should stop
+     */
+    async waitWhilePaused(operation, statusDiv) {
+        if (operation.paused && !operation.cancelled) {
+            if (statusDiv) statusDiv.textContent = '⏸️ Paused. Press Resume to continue.';
+            this.log(`${operation.kind} operation paused`);
+            while (operation.paused && !operation.cancelled) {
+                await this.delay(100);
+            }
+        }
+        return operation.cancelled;
+    }
+
+    /**
+     * Pauses the running operation, or resumes it if it is paused. The
+     * player being processed is finished first.
+     * 
+     * @param {HTMLElement} button - The pause/resume button
+     */
+    togglePauseOperation(button) {
+        if (!this.operation) return;
+
+        this.operation.paused = !this.operation.paused;
+        button.textContent = this.operation.paused ? 'Resume' : 'Pause';
+        this.log(`${this.operation.kind} operation ${this.operation.paused ? 'pausing after the current player' : 'resumed'}`);
+    }
+
+    /**
+     * Cancels the running operation after the player being processed. The
+     * partial results are shown and the run can be resumed from there.
+     * 
+     * @param {HTMLElement} button - The cancel button
+     */
+    cancelOperation(button) {
+        if (!this.operation) return;
+
+        this.operation.cancelled = true;
+        this.operation.paused = false;
+        button.disabled = true;
+        button.textContent = 'Cancelling...';
+        this.log(`Cancelling ${this.operation.kind} operation after the current player`);
+    }
+
+    /**
+     * Continues the last cancelled queue or clear operation.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async resumeOperation() {
+        if (this.resumeState?.kind === 'queue') {
+            await this.queuePlayers(true);
+        } else if (this.resumeState?.kind === 'clear') {
+            await this.clearQueue(true);
+        }
+    }
+
+    /**
+     * Pause and cancel buttons for a progress area. Clicks are handled by the
+     * delegated listener on #analysis-results.
+     * 
+     * @returns {string} HTML for the controls
+     */
+    renderOperationControls() {
+        return `<div class="sleeper-operation-controls">
+            <button class="sleeper-btn" data-action="pause-operation">Pause</button>
+            <button class="sleeper-btn secondary" data-action="cancel-operation">Cancel</button>
+        </div>`;
+    }
+
+    /**
+     * Note for a cancelled operation's partial report, with a Resume button.
+     * 
+     * @param {string} message - What was left undone
+     * @returns {string} HTML for the note
+     */
+    renderStoppedNote(message) {
+        return `<div class="error-note sleeper-stopped-note">
+            ⏹️ Cancelled. ${message}
+            <button class="sleeper-btn primary" data-action="resume-operation">Resume</button>
+        </div>`;
+    }
+
     /**
      * Helper method for displaying clear queue results in a formatted HTML structure.
      * 
@@ -1111,13 +2765,14 @@ async loadPlayers() {
      * @param {number} successCount - Number of successfully removed players
      * @param {number} failureCount - Number of failed removal attempts
      * @param {number} totalPlayers - Total number of players that were in queue
+     * @param {number} [remaining=0] - Players left in the queue because the run was cancelled
      */
-    displayClearResults(clearResults, successCount, failureCount, totalPlayers) {
+    displayClearResults(clearResults, successCount, failureCount, totalPlayers, remaining = 0) {
         const results = document.getElementById('analysis-results');
         
         let html = `
             <div class="analysis-summary">
-                Queue Clear Complete: ${successCount}/${totalPlayers} players removed successfully
+                Queue Clear ${remaining > 0 ? 'Stopped' : 'Complete'}: ${successCount}/${totalPlayers} players removed successfully
             </div>
         `;
 
@@ -1144,6 +2799,353 @@ async loadPlayers() {
             </div>`;
         }
 
+        if (remaining > 0) {
+            html += this.renderStoppedNote(`${remaining} players are still in the queue.`);
+        }
+
+        results.innerHTML = html;
+    }
+
+    /**
+     * Diffs the analyzed players against the current queue by Sleeper player_id
+     * and shows the planned changes. Nothing is clicked until the preview is
+     * confirmed (see applyQueueSync).
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async syncQueue() {
+        const results = document.getElementById('analysis-results');
+
+        const unresolved = this.getUnresolvedAmbiguities();
+        if (unresolved.length > 0) {
+            this.log(`${unresolved.length} ambiguous players must be picked or skipped before syncing`, 'warn');
+            document.querySelector('#analysis-results .result-item.ambiguous')
+                ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+
+        if (!this.lastAnalysis || this.lastAnalysis.length === 0) {
+            this.log('No analyzed players to sync', 'error');
+            this.showError(results, 'Analyze a list before syncing the queue');
+            return;
+        }
+
+        results.className = 'sleeper-results loading';
+        results.innerHTML = '<div class="loading">Comparing list with queue...</div>';
+
+        try {
+            const queuedPlayers = await this.findQueuedPlayers();
+            const draftedIds = await this.findDraftedIds();
+            this.pendingSync = this.planQueueSync(this.lastAnalysis, queuedPlayers, draftedIds);
+            this.displaySyncPreview(this.pendingSync);
+        } catch (error) {
+            this.pendingSync = null;
+            this.showError(results, `Could not read the queue: ${error.message}`);
+            this.log(`Sync preview error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Works out which players to add and which to remove so the queue holds
+     * exactly the analyzed players. Queue rows that can't be identified are
+     * left alone, since they can't be compared. A player listed twice is
+     * added once: a second click on their queue action would toggle them off.
+     * Drafted players can't be queued, so they are listed apart instead of added.
+     * 
+     * @param {Array} analysis - Analyzed players (lastAnalysis)
+     * @param {Array} queuedPlayers - Current queue from findQueuedPlayers
+     * @param {Set<string>} [draftedIds=new Set()] - Drafted player ids from findDraftedIds
+     * @returns {Object} { toAdd, toRemove, kept, unidentified, drafted }
+     */
+    planQueueSync(analysis, queuedPlayers, draftedIds = new Set()) {
+        const wantedIds = new Set(analysis.map(item => PlayerIdentity.idOf(item.bestMatch)));
+        const queuedIds = new Set(queuedPlayers.map(q => q.playerId).filter(Boolean));
+        const addIds = new Set();
+        const drafted = [];
+
+        return {
+            toAdd: analysis.filter(item => {
+                const playerId = PlayerIdentity.idOf(item.bestMatch);
+                if (queuedIds.has(playerId) || addIds.has(playerId)) return false;
+                addIds.add(playerId);
+                if (draftedIds.has(playerId)) {
+                    drafted.push(item);
+                    return false;
+                }
+                return true;
+            }),
+            toRemove: queuedPlayers.filter(q => q.playerId && !wantedIds.has(q.playerId)),
+            kept: queuedPlayers.filter(q => q.playerId && wantedIds.has(q.playerId)),
+            unidentified: queuedPlayers.filter(q => !q.playerId),
+            drafted
+        };
+    }
+
+    /**
+     * Shows the planned sync changes with buttons to apply or cancel them.
+     * 
+     * @param {Object} plan - Plan from planQueueSync
+     */
+    displaySyncPreview(plan) {
+        const results = document.getElementById('analysis-results');
+        const { toAdd, toRemove, kept, unidentified, drafted } = plan;
+
+        results.className = 'sleeper-results';
+
+        if (toAdd.length === 0 && toRemove.length === 0) {
+            this.pendingSync = null;
+            const notes = [];
+            if (unidentified.length > 0) {
+                notes.push(`${unidentified.length} queue row${unidentified.length === 1 ? '' : 's'} couldn't be identified and ${unidentified.length === 1 ? 'was' : 'were'} not checked`);
+            }
+            if (drafted.length > 0) {
+                notes.push(`${drafted.length} listed player${drafted.length === 1 ? ' was' : 's were'} already drafted`);
+            }
+            const note = notes.length > 0 ? ` (${notes.join('; ')})` : '';
+            this.showInfo(results, `Queue already matches the list: ${kept.length} players${note}.`);
+            return;
+        }
+
+        const draftedNote = drafted.length > 0 ? `, ${drafted.length} already drafted` : '';
+        let html = `<div class="analysis-summary">Sync Preview: ${toAdd.length} to add, ${toRemove.length} to remove, ${kept.length} unchanged${draftedNote}</div>`;
+
+        if (toRemove.length > 0) {
+            html += `<div class="validation-section">
+                <h4 class="validation-header">➖ Remove from Queue (${toRemove.length}):</h4>`;
+            toRemove.forEach(queued => {
+                html += `<div class="result-item error">
+                    <div class="player-match">${this.escapeHtml(queued.name)}</div>
+                </div>`;
+            });
+            html += `</div>`;
+        }
+
+        if (toAdd.length > 0) {
+            html += `<div class="validation-section">
+                <h4 class="validation-header">➕ Add to Queue (${toAdd.length}):</h4>`;
+            toAdd.forEach(item => {
+                const rankLabel = item.rank !== null && item.rank !== undefined
+                    ? `<span class="rank">#${item.rank}</span> ` : '';
+                html += `<div class="result-item high">
+                    <div class="player-match">${rankLabel}${item.bestMatch.full_name} (${this.formatPlayerDetails(item.bestMatch)})</div>
+                </div>`;
+            });
+            html += `</div>`;
+        }
+
+        if (drafted.length > 0) {
+            html += `<div class="validation-section">
+                <h4 class="validation-header">🚫 Already Drafted, Not Added (${drafted.length}):</h4>`;
+            drafted.forEach(item => {
+                const rankLabel = item.rank !== null && item.rank !== undefined
+                    ? `<span class="rank">#${item.rank}</span> ` : '';
+                html += `<div class="result-item skipped drafted">
+                    <div class="player-match">${rankLabel}${this.escapeHtml(item.bestMatch.full_name)} (${this.formatPlayerDetails(item.bestMatch)})</div>
+                </div>`;
+            });
+            html += `</div>`;
+        }
+
+        if (unidentified.length > 0) {
+            html += `<div class="validation-section">
+                <h4 class="validation-header">⚠️ Left Alone (${unidentified.length}):</h4>`;
+            unidentified.forEach(queued => {
+                html += `<div class="result-item skipped">
+                    <div class="player-match">${this.escapeHtml(queued.name)} → couldn't be identified</div>
+                </div>`;
+            });
+            html += `</div>`;
+        }
+
+        html += `<div class="sleeper-actions sync-actions">
+            <button class="sleeper-btn primary" data-action="apply-sync">Apply ${toAdd.length + toRemove.length} Changes</button>
+            <button class="sleeper-btn secondary" data-action="cancel-sync">Cancel</button>
+        </div>`;
+
+        results.innerHTML = html;
+    }
+
+    /**
+     * Applies the previewed sync, after saving a snapshot of the queue so it
+     * can be undone.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async applyQueueSync() {
+        if (!this.pendingSync) return;
+        if (this.operation) {
+            this.log(`A ${this.operation.kind} operation is already running`, 'warn');
+            return;
+        }
+        this.pendingSync = null;
+
+        const results = document.getElementById('analysis-results');
+        const syncBtn = document.getElementById('sync-queue');
+        const operation = this.startOperation('sync');
+
+        this.setButtonLoading(syncBtn, true);
+        results.className = 'sleeper-results loading';
+        results.innerHTML = `
+            <div class="loading">Syncing queue...</div>
+            <div class="sleeper-progress">
+                <div class="sleeper-progress-bar" id="sync-progress"></div>
+            </div>
+            <div id="sync-status"></div>
+        `;
+
+        try {
+            await this.takeQueueSnapshot('sync');
+            const { syncResults, remaining } = await this.runQueueSync(this.lastAnalysis, this.progressReporter('sync'));
+
+            const successCount = syncResults.filter(r => r.status === 'success').length;
+            results.className = successCount === syncResults.length ? 'sleeper-results success' : 'sleeper-results error';
+            this.displaySyncResults(syncResults, remaining);
+
+            if (successCount > 0) {
+                this.playNotificationSound();
+            }
+        } catch (error) {
+            results.className = 'sleeper-results error';
+            this.showError(results, `Sync failed: ${error.message}`);
+            this.log(`Sync error: ${error.message}`, 'error');
+        } finally {
+            this.finishOperation(operation);
+            this.setButtonLoading(syncBtn, false);
+        }
+    }
+
+    /**
+     * Makes the queue hold exactly the target players: removes extras first,
+     * then adds missing players. The queue and draft picks are re-read first so
+     * changes made since a preview are taken into account, and each removal is
+     * checked by re-scanning. Drafted targets are not added.
+     * 
+     * @param {Array} targets - Analysis items ({ bestMatch, rank }) the queue should hold
+     * @param {Function} updateProgress - Called with (done, total, label), see progressReporter
+     * @async
+     * @returns {Promise<Object>} { syncResults, remaining }: one result per change, and
+     *   planQueueSync of the queue after the run
+     */
+    async runQueueSync(targets, updateProgress) {
+        let queuedPlayers = await this.findQueuedPlayers();
+        const { toAdd, toRemove } = this.planQueueSync(targets, queuedPlayers, await this.findDraftedIds());
+        const total = toAdd.length + toRemove.length;
+        this.log(`Syncing queue: ${toRemove.length} to remove, ${toAdd.length} to add`);
+
+        const syncResults = [];
+
+        for (let i = 0; i < toRemove.length; i++) {
+            // Row elements go stale as the queue re-renders, so look the player up again
+            const queuedPlayer = queuedPlayers.find(q => q.playerId === toRemove[i].playerId);
+            updateProgress(i + 1, total, `Removing ${toRemove[i].name}...`);
+
+            if (!queuedPlayer) {
+                syncResults.push({ player: toRemove[i].name, action: 'remove', status: 'success', message: 'Already gone from queue' });
+                continue;
+            }
+
+            const clicked = await this.removePlayerFromQueue(queuedPlayer);
+            await this.delay(this.settings?.delay || 150);
+            queuedPlayers = await this.findQueuedPlayers();
+
+            if (clicked && !queuedPlayers.some(q => q.playerId === queuedPlayer.playerId)) {
+                syncResults.push({ player: queuedPlayer.name, action: 'remove', status: 'success', message: 'Removed from queue' });
+                this.log(`✅ Removed ${queuedPlayer.name} from queue`);
+            } else {
+                syncResults.push({
+                    player: queuedPlayer.name,
+                    action: 'remove',
+                    status: 'failed',
+                    message: clicked ? 'Still in queue after clicking remove' : 'Could not find remove button'
+                });
+                this.log(`❌ Failed to remove ${queuedPlayer.name} from queue`, 'warn');
+            }
+        }
+
+        for (let i = 0; i < toAdd.length; i++) {
+            const item = toAdd[i];
+            const player = item.bestMatch;
+            updateProgress(toRemove.length + i + 1, total, `Adding ${player.full_name}...`);
+
+            const success = await this.addPlayerToQueue(player);
+            syncResults.push({
+                player: player.full_name,
+                rank: item.rank,
+                action: 'add',
+                status: success ? 'success' : 'failed',
+                message: success ? 'Added to queue' : 'Could not find player on draft board'
+            });
+            this.log(success ? `✅ Added ${player.full_name} to queue` : `❌ Failed to add ${player.full_name} to queue`);
+
+            if (i < toAdd.length - 1) {
+                await this.delay(this.settings?.delay || 150);
+            }
+        }
+
+        // Whatever still differs after the run
+        await this.delay(this.settings?.delay || 150);
+        const remaining = this.planQueueSync(targets, await this.findQueuedPlayers(), await this.findDraftedIds());
+
+        return { syncResults, remaining };
+    }
+
+    /**
+     * Progress callback driving an operation's progress bar and status line.
+     * 
+     * @param {string} prefix - Element id prefix: 'sync' updates #sync-progress and #sync-status
+     * @returns {Function} (done, total, label) => void
+     */
+    progressReporter(prefix) {
+        const progressBar = document.getElementById(`${prefix}-progress`);
+        const statusDiv = document.getElementById(`${prefix}-status`);
+        return (done, total, label) => {
+            if (progressBar) progressBar.style.width = `${total > 0 ? (done / total) * 100 : 100}%`;
+            if (statusDiv) statusDiv.textContent = `${label} (${done}/${total})`;
+        };
+    }
+
+    /**
+     * Displays the outcome of a queue sync.
+     * 
+     * @param {Array} syncResults - { player, rank, action: 'add'|'remove', status, message } per change
+     * @param {Object} remaining - planQueueSync of the queue after the run
+     */
+    displaySyncResults(syncResults, remaining) {
+        const results = document.getElementById('analysis-results');
+        const added = syncResults.filter(r => r.action === 'add' && r.status === 'success').length;
+        const removed = syncResults.filter(r => r.action === 'remove' && r.status === 'success').length;
+        const failureCount = syncResults.filter(r => r.status !== 'success').length;
+
+        let html = `<div class="queue-summary">
+            Sync Results: ${added} added, ${removed} removed, ${failureCount} failed
+        </div>`;
+
+        syncResults.forEach(result => {
+            const statusClass = result.status === 'success' ? 'high' : 'error';
+            const statusIcon = result.status === 'success' ? (result.action === 'add' ? '➕' : '➖') : '❌';
+            const rankLabel = result.rank !== null && result.rank !== undefined
+                ? `<span class="rank">#${result.rank}</span> ` : '';
+
+            html += `<div class="result-item ${statusClass}">
+                <div class="player-match">
+                    ${statusIcon} ${rankLabel}${this.escapeHtml(result.player)} - ${result.message}
+                </div>
+            </div>`;
+        });
+
+        const outstanding = remaining.toAdd.length + remaining.toRemove.length;
+        if (outstanding === 0) {
+            html += `<div class="success-note">
+                🎉 Your queue now matches the list!
+            </div>`;
+        } else {
+            html += `<div class="error-note">
+                ⚠️ The queue still differs from the list: ${remaining.toAdd.length} missing, ${remaining.toRemove.length} extra. Run Sync Queue again to retry.
+            </div>`;
+        }
+
         results.innerHTML = html;
     }
 
@@ -1185,121 +3187,86 @@ async loadPlayers() {
     }
 
     /**
-     * Finds the queue action button for a specific player by searching through
-     * available queue action elements and matching player names.
+     * Finds the queue action button for a specific player by resolving each
+     * draft-room row to a Sleeper player_id and comparing it with the player's.
      * 
-     * @param {Object} player - Player object or player name string
+     * @param {Object} player - Player or match object with playerId / player_id
      * @async
      * @returns {Promise<HTMLElement|null>} The queue action element if found, null otherwise
      */
     async findQueueActionByPlayer(player) {
-        // Handle both string and object formats
-        const playerName = typeof player === 'string' ? player : (
-            player?.full_name || player?.fullName || `${player?.first_name || ''} ${player?.last_name || ''}`
-        ).trim();
-        this.log(`Strategy 1: Looking for queue-action div for ${playerName}`);
+        const playerId = PlayerIdentity.idOf(player);
+        const playerName = player?.full_name || player?.fullName || playerId;
+        this.log(`Strategy 1: Looking for queue-action div for ${playerName} (${playerId})`);
+        
+        if (!playerId) {
+            this.log(`❌ ${playerName} has no player_id to look up`, 'warn');
+            return null;
+        }
         
         // Find all queue-action divs
         const queueActions = document.querySelectorAll('.queue-action');
         this.log(`Found ${queueActions.length} total queue-action elements to search`);
         
+        const unresolvedRows = [];
         for (const queueDiv of queueActions) {
             // Find the player container this queue action belongs to
             const playerContainer = queueDiv.closest('[class*="player"], .player-rank-item, .player-row, tr, li');
+            if (!playerContainer) continue;
             
-            if (playerContainer) {
-                const containerText = playerContainer.textContent || '';
-                
-                // Check if this container matches our player
-                if (this.checkPlayerNameInText(player, containerText)) {
-                    this.log(`Matched queue-action for ${playerName} in: "${containerText.substring(0, 100)}..."`);
-                    return queueDiv;
-                }
+            const identity = this.resolveRowIdentity(playerContainer);
+            if (!identity) {
+                unresolvedRows.push(playerContainer);
+                continue;
+            }
+            
+            if (identity.playerId === playerId) {
+                this.log(`Matched queue-action for ${playerName} by ${identity.source}`);
+                return queueDiv;
             }
         }
         
         // Enhanced debugging for failed matches
-        this.log(`No queue-action match for ${playerName}. Checking available players...`);
-        queueActions.forEach((queueDiv, index) => {
-            const playerContainer = queueDiv.closest('[class*="player"], .player-rank-item, .player-row, tr, li');
-            if (playerContainer && index < 10) { // Show first 10 for debugging
-                const text = playerContainer.textContent.slice(0, 80);
-                this.log(`Queue ${index}: "${text}"`);
-            }
-        });
-        
-        // Check if player is in currently loaded players
-        this.log(`🔍 Searching all ${queueActions.length} players for partial matches with "${playerName}"`);
-        const specialMatches = this.findAllPlayersWithPartialMatch(playerName, queueActions);
-        this.log(`Found ${specialMatches.length} potential matches for "${playerName}"`);
-        
-        if (specialMatches.length > 0) {
-            for (const match of specialMatches) {
-                if (this.checkPlayerNameInText(playerName, match.textContent)) {
-                    this.log(`✅ Found exact match for ${playerName}!`);
-                    return match.querySelector('.queue-action');
-                }
-            }
+        if (unresolvedRows.length > 0) {
+            this.log(`${unresolvedRows.length} rows could not be identified. First few:`);
+            unresolvedRows.slice(0, 5).forEach((row, index) => {
+                this.log(`Unidentified ${index}: "${row.textContent.slice(0, 80)}"`);
+            });
         }
 
-        // Player not found in current list - ask for manual search
-        this.log(`❌ ${playerName} not found in currently loaded players`);
-        return await this.handleMissingPlayer(playerName);
-    }
-
-    /**
-     * Checks if a player name exists within a given text string using normalization
-     * and partial matching techniques.
-     * 
-     * @param {Object|string} player - Player object or player name string
-     * @param {string} text - Text to search within
-     * @returns {boolean} True if player name is found in text, false otherwise
-     */
-    checkPlayerNameInText(player, text) {
-        // Handle both string and object formats
-        const playerName = typeof player === 'string' ? player : (
-            player?.full_name || player?.fullName || `${player?.first_name || ''} ${player?.last_name || ''}`
-        ).trim();
-
-        if (!playerName) return false;
-        
-        const normalizedText = (text || '').toLowerCase().replace(/[^a-z\s]/g, ' ');
-        const normalizedPlayerName = playerName.toLowerCase().replace(/[^a-z\s]/g, ' ');
-        
-        // Check full name match
-        if (normalizedText.includes(normalizedPlayerName)) {
-            return true;
-        }
-        
-        // Check first and last name separately for partial matches
-        const nameParts = normalizedPlayerName.split(' ').filter(part => part.length > 1);
-        if (nameParts.length >= 2) {
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
-            
-            if (normalizedText.includes(firstName) && normalizedText.includes(lastName)) {
-                return true;
-            }
-        }
-        
-        return false;
+        // Player not found in current list - ask for manual search
+        this.log(`❌ ${playerName} not found in currently loaded players`);
+        return await this.handleMissingPlayer(player);
+    }
+
+    /**
+     * Resolves a draft-room or queue row to a Sleeper player_id using
+     * PlayerIdentity (data attributes, React props, headshot URLs, then
+     * name + team + position against the loaded players).
+     * 
+     * @param {HTMLElement} element - Player or queue row
+     * @returns {Object|null} { playerId, source } or null if the row can't be identified
+     */
+    resolveRowIdentity(element) {
+        return PlayerIdentity.resolve(element, this.players);
     }
 
     /**
      * Handles cases where a player is not found in the current visible list
      * by attempting automatic search using React-based methods.
      * 
-     * @param {string} playerName - Name of the player to search for
+     * @param {Object} player - Player or match object with playerId / player_id
      * @async
      * @returns {Promise<HTMLElement|null>} The action element if found via search, null otherwise
      */
-    async handleMissingPlayer(playerName) {
+    async handleMissingPlayer(player) {
+        const playerName = player.full_name || player.fullName || PlayerIdentity.idOf(player);
         this.log(`❌ ${playerName} not found in current player list`);
         this.log(`🔍 Attempting automatic search using React method...`);
         
         try {
             // Try the React-based search for queue-action only
-            const actionElement = await this.searchForPlayer(playerName, 'queue-action');
+            const actionElement = await this.searchForPlayer(player, 'queue-action');
             
             if (actionElement) {
                 this.log(`✅ Found ${playerName} via automatic search!`);
@@ -1318,14 +3285,16 @@ async loadPlayers() {
     
     /**
      * Searches for a player using Sleeper's search functionality by interacting
-     * with search inputs and filtering results.
+     * with search inputs and filtering results. Result rows are compared by player_id.
      * 
-     * @param {string} playerName - Name of the player to search for
+     * @param {Object} player - Player or match object with playerId / player_id
      * @param {string} [actionType='queue-action'] - Type of action element to find
      * @async
      * @returns {Promise<HTMLElement|null>} The action element if found, null otherwise
      */
-    async searchForPlayer(playerName, actionType = 'queue-action') {
+    async searchForPlayer(player, actionType = 'queue-action') {
+        const playerId = PlayerIdentity.idOf(player);
+        const playerName = player.full_name || player.fullName || playerId;
         this.log(`🔍 Searching for ${playerName} using Sleeper's search functionality...`);
         
         // Look for search input field using the provided structure
@@ -1401,7 +3370,7 @@ async loadPlayers() {
                 // Look for the player in the filtered results
                 for (const actionElement of actionElements) {
                     const playerContainer = actionElement.closest('[class*="player"], .player-rank-item, .player-row, tr, li');
-                    if (playerContainer && this.checkPlayerNameInText(playerName, playerContainer.textContent)) {
+                    if (playerContainer && this.resolveRowIdentity(playerContainer)?.playerId === playerId) {
                         this.log(`✅ Found ${playerName} via search with variation "${nameVariation}"!`);
                         
                         // Verify the button is clickable before proceeding
@@ -1448,7 +3417,7 @@ async loadPlayers() {
                     
                     for (const actionElement of newActionElements) {
                         const playerContainer = actionElement.closest('[class*="player"], .player-rank-item, .player-row, tr, li');
-                        if (playerContainer && this.checkPlayerNameInText(playerName, playerContainer.textContent)) {
+                        if (playerContainer && this.resolveRowIdentity(playerContainer)?.playerId === playerId) {
                             this.log(`✅ Found ${playerName} via alternative triggers!`);
                             await this.clearSearchInput(searchInput);
                             return actionElement;
@@ -1631,69 +3600,38 @@ async loadPlayers() {
         }
     }
 
-    /**
-     * Finds all players that have partial name matches with the target name.
-     * Useful for fuzzy searching when exact matches aren't found.
-     * 
-     * @param {string} targetName - Target player name to search for
-     * @param {NodeList} actionElements - Collection of action elements to search through
-     * @returns {Array} Array of match objects with match details
-     */
-    findAllPlayersWithPartialMatch(targetName, actionElements) {
-        this.log(`🔍 Searching all ${actionElements.length} players for partial matches with "${targetName}"`);
-        
-        const targetParts = targetName.toLowerCase().split(' ');
-        const matches = [];
-        
-        actionElements.forEach((actionElement, index) => {
-            const playerContainer = actionElement.closest('[class*="player"], .player-rank-item, .player-row, tr, li');
-            if (playerContainer) {
-                const text = playerContainer.textContent.toLowerCase();
-                
-                // Check for partial matches
-                const hasFirstName = targetParts[0] && text.includes(targetParts[0]);
-                const hasLastName = targetParts[1] && text.includes(targetParts[1]);
-                
-                if (hasFirstName || hasLastName) {
-                    matches.push({
-                        index,
-                        text: playerContainer.textContent.slice(0, 100),
-                        hasFirstName,
-                        hasLastName
-                    });
-                }
-            }
-        });
-        
-        this.log(`Found ${matches.length} potential matches for "${targetName}"`);
-        matches.forEach(match => {
-            this.log(`  Match ${match.index}: "${match.text}" (First: ${match.hasFirstName}, Last: ${match.hasLastName})`);
-        });
-        
-        return matches;
-    }
-
     /**
      * Displays the results of queue operations in a formatted HTML structure.
+     * Skipped players ('queued', 'drafted') are shown apart from failures.
      * 
      * @param {Array} queueResults - Array of queue operation results
      * @param {number} successCount - Number of successfully queued players
      * @param {number} failureCount - Number of failed queue attempts
+     * @param {number} [remaining=0] - Players not reached because the run was cancelled
      */
-    displayQueueResults(queueResults, successCount, failureCount) {
+    displayQueueResults(queueResults, successCount, failureCount, remaining = 0) {
         const results = document.getElementById('analysis-results');
+        const queuedCount = queueResults.filter(result => result.status === 'queued').length;
+        const draftedCount = queueResults.filter(result => result.status === 'drafted').length;
+        const skipped = queuedCount + draftedCount > 0
+            ? `, ${queuedCount + draftedCount} skipped (${queuedCount} already queued, ${draftedCount} already drafted)` : '';
         
         let html = `<div class="queue-summary">
-            Queue Results: ${successCount} added, ${failureCount} failed
+            Queue Results: ${successCount} added${skipped}, ${failureCount} failed
         </div>`;
 
+        const statusClasses = { success: 'high', queued: 'skipped', drafted: 'skipped drafted' };
+        const statusIcons = { success: '✅', queued: '📋', drafted: '🚫' };
+
         queueResults.forEach(result => {
-            const statusClass = result.status === 'success' ? 'high' : 'error';
-            const statusIcon = result.status === 'success' ? '✅' : '❌';
+            const statusClass = statusClasses[result.status] || 'error';
+            const statusIcon = statusIcons[result.status] || '❌';
+            const rankLabel = result.rank !== null && result.rank !== undefined
+                ? `<span class="rank">#${result.rank}</span> ` : '';
             
             html += `<div class="result-item ${statusClass}">
                 <div class="player-match">
-                    ${statusIcon} ${result.player} - ${result.message}
+                    ${statusIcon} ${rankLabel}${result.player} - ${result.message}
                 </div>
             </div>`;
         });
@@ -1710,15 +3648,20 @@ async loadPlayers() {
             </div>`;
         }
 
+        if (remaining > 0) {
+            html += this.renderStoppedNote(`${remaining} players were not processed.`);
+        }
+
         results.innerHTML = html;
     }
 
     /**
      * Finds all players currently in the draft queue by locating delete/remove buttons
-     * and extracting associated player information.
+     * and resolving each queue row to a Sleeper player_id.
      * 
      * @async
-     * @returns {Promise<Array>} Array of queued player objects with name, element, and removeButton
+     * @returns {Promise<Array>} Array of queued player objects with playerId (null if the row
+     *   couldn't be identified), name, element, and removeButton
      */
     async findQueuedPlayers() {
         this.log('Looking for queued players with .delete-button elements...');
@@ -1732,86 +3675,36 @@ async loadPlayers() {
             const buttonText = (deleteButton.textContent || '').trim().toLowerCase();
             
             // Verify this is actually a "REMOVE" button
-            if (buttonText === 'remove') {
-                // Find the player container this remove button belongs to
-                const playerContainer = deleteButton.closest('[class*="player"], .player-item, tr, li, .queue-item, [class*="queue"]');
-                
-                if (playerContainer) {
-                    const playerText = playerContainer.textContent || '';
-                    const playerName = this.extractPlayerName(playerText);
-                    
-                    if (playerName) {
-                        this.log(`Found queued player: ${playerName}`);
-                        queuedPlayers.push({
-                            name: playerName,
-                            element: playerContainer,
-                            removeButton: deleteButton
-                        });
-                    }
-                } else {
-                    // If no clear container, try to find nearby player text
-                    const nearbyText = this.getNearbyText(deleteButton, 100);
-                    const playerName = this.extractPlayerName(nearbyText);
-                    
-                    if (playerName) {
-                        this.log(`Found queued player (nearby): ${playerName}`);
-                        queuedPlayers.push({
-                            name: playerName,
-                            element: deleteButton.parentElement || deleteButton,
-                            removeButton: deleteButton
-                        });
-                    }
-                }
+            if (buttonText !== 'remove') continue;
+
+            // Find the player container this remove button belongs to
+            const playerContainer = deleteButton.closest('[class*="player"], .player-item, tr, li, .queue-item, [class*="queue"]') ||
+                deleteButton.parentElement || deleteButton;
+            
+            const identity = this.resolveRowIdentity(playerContainer);
+            const player = identity ? this.players?.[identity.playerId] : null;
+            const playerName = player
+                ? (player.position === 'DEF' && NflTeams.displayName(player.team || identity.playerId)) || `${player.first_name} ${player.last_name}`
+                : PlayerIdentity.readRow(playerContainer).name || (playerContainer.textContent || '').replace(/REMOVE/gi, '').trim().slice(0, 40);
+            
+            if (identity) {
+                this.log(`Found queued player: ${playerName} (${identity.playerId} via ${identity.source})`);
+            } else {
+                this.log(`Found queued player without an id: ${playerName}`, 'warn');
             }
+            
+            queuedPlayers.push({
+                playerId: identity ? identity.playerId : null,
+                name: playerName,
+                element: playerContainer,
+                removeButton: deleteButton
+            });
         }
 
         this.log(`Found ${queuedPlayers.length} queued players with REMOVE buttons`);
         return queuedPlayers;
     }
 
-    /**
-     * Extracts player name from text by removing common UI elements and
-     * filtering out positions and numbers.
-     * 
-     * @param {string} text - Text containing player information
-     * @returns {string|null} Extracted player name or null if unable to extract
-     */
-    extractPlayerName(text) {
-        // Clean up the text and extract player name
-        const cleanText = text.trim()
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .replace(/REMOVE/gi, '') // Remove the REMOVE text
-            .replace(/\s*$/, ''); // Trim trailing space
-        
-        // Look for typical player name patterns
-        const words = cleanText.split(/\s+/).filter(word => word.length > 0);
-        
-        if (words.length >= 2) {
-            // Take first 2-3 words as player name, avoiding numbers and positions
-            let nameWords = [];
-            for (let i = 0; i < Math.min(3, words.length); i++) {
-                const word = words[i];
-                // Skip if it looks like a position (QB, RB, WR, TE, etc) or number
-                if (!/^(QB|RB|WR|TE|K|DEF|DST|\d+)$/i.test(word)) {
-                    nameWords.push(word);
-                }
-                // Stop if we have 2 good name words
-                if (nameWords.length >= 2) break;
-            }
-            
-            if (nameWords.length >= 2) {
-                return nameWords.join(' ');
-            }
-        }
-        
-        // Fallback: just take first 2 words if available
-        if (words.length >= 2) {
-            return words.slice(0, 2).join(' ');
-        }
-        
-        return null;
-    }
-
     /**
      * Removes a player from the draft queue by clicking their remove button.
      * Includes validation to ensure the button still exists and is clickable.
@@ -1853,33 +3746,514 @@ async loadPlayers() {
         }
     }
 
-    displayClearResults(clearResults, successCount, failureCount) {
+    /**
+     * Reorders the queue so the analyzed players appear in cheatsheet rank
+     * order and reports rows that couldn't be moved.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reorderQueue() {
+        if (this.operation) {
+            this.log(`A ${this.operation.kind} operation is already running`, 'warn');
+            return;
+        }
+
         const results = document.getElementById('analysis-results');
-        
+        const reorderBtn = document.getElementById('reorder-queue');
+
+        if (!this.lastAnalysis || this.lastAnalysis.length === 0) {
+            this.log('No analyzed players to order the queue by', 'error');
+            this.showError(results, 'Analyze a list before reordering the queue');
+            return;
+        }
+
+        const operation = this.startOperation('reorder');
+        this.setButtonLoading(reorderBtn, true);
+        results.className = 'sleeper-results loading';
+        results.innerHTML = `
+            <div class="loading">Reading queue order...</div>
+            <div class="sleeper-progress">
+                <div class="sleeper-progress-bar" id="reorder-progress"></div>
+            </div>
+            <div id="reorder-status"></div>
+        `;
+
+        try {
+            const targets = this.lastAnalysis.map(item => ({
+                playerId: PlayerIdentity.idOf(item.bestMatch),
+                name: item.bestMatch.full_name,
+                rank: item.rank
+            }));
+            const reorderResults = await this.runQueueReorder(targets, this.progressReporter('reorder'));
+
+            if (reorderResults.length === 0) {
+                this.showInfo(results, 'None of the analyzed players are in the queue yet. Add them first.');
+                return;
+            }
+
+            const failureCount = reorderResults.filter(r => r.status === 'failed').length;
+            results.className = failureCount === 0 ? 'sleeper-results success' : 'sleeper-results error';
+            this.displayReorderResults(reorderResults);
+
+            if (reorderResults.some(r => r.status === 'success')) {
+                this.playNotificationSound();
+            }
+        } catch (error) {
+            results.className = 'sleeper-results error';
+            this.showError(results, `Reorder failed: ${error.message}`);
+            this.log(`Reorder error: ${error.message}`, 'error');
+        } finally {
+            this.finishOperation(operation);
+            this.setButtonLoading(reorderBtn, false);
+        }
+    }
+
+    /**
+     * Moves queued target players to the top of the queue in the given order.
+     * Players are placed one at a time; queued players that aren't targets end
+     * up below them in their current order. Every move is checked by
+     * re-scanning the queue; a row that doesn't land where expected is left
+     * where it ended up and the next player is placed above it.
+     * 
+     * @param {Array} targets - { playerId, name, rank } in the wanted order; ones not queued are ignored
+     * @param {Function} updateProgress - Called with (done, total, label), see progressReporter
+     * @async
+     * @returns {Promise<Array>} { playerId, name, rank, status: 'success'|'unchanged'|'failed', message } per queued target
+     */
+    async runQueueReorder(targets, updateProgress) {
+        let queuedPlayers = await this.findQueuedPlayers();
+        const queuedIds = new Set(queuedPlayers.map(q => q.playerId).filter(Boolean));
+        const queuedTargets = targets.filter(target => queuedIds.has(target.playerId));
+
+        this.log(`Reordering ${queuedTargets.length} queued players`);
+        const reorderResults = [];
+        let placed = 0; // rows at the top of the queue that are already in order
+
+        for (let i = 0; i < queuedTargets.length; i++) {
+            const target = queuedTargets[i];
+            updateProgress(i + 1, queuedTargets.length, `Placing ${target.name}...`);
+
+            const from = queuedPlayers.findIndex(q => q.playerId === target.playerId);
+            if (from === -1) {
+                reorderResults.push({ ...target, status: 'failed', message: 'No longer in queue' });
+                continue;
+            }
+            if (from === placed) {
+                placed++;
+                reorderResults.push({ ...target, status: 'unchanged', message: 'Already in place' });
+                continue;
+            }
+
+            const method = await this.moveQueueRow(queuedPlayers, from, placed);
+            await this.delay(this.settings?.delay || 150);
+            queuedPlayers = await this.findQueuedPlayers();
+
+            const now = queuedPlayers.findIndex(q => q.playerId === target.playerId);
+            if (now === placed) {
+                placed++;
+                reorderResults.push({ ...target, status: 'success', message: `Moved up ${from - now} (${method})` });
+                this.log(`✅ Moved ${target.name} from ${from + 1} to ${now + 1} via ${method}`);
+            } else {
+                const message = !method
+                    ? 'No move controls or drag handle found on its queue row'
+                    : now === -1 ? `Dropped out of the queue while moving (${method})`
+                    : `Ended up at ${now + 1} instead of ${placed + 1} (${method})`;
+                reorderResults.push({ ...target, status: 'failed', message });
+                this.log(`❌ Could not move ${target.name}: ${message}`, 'warn');
+            }
+        }
+
+        return reorderResults;
+    }
+
+    /**
+     * Moves a queue row up using whatever Sleeper offers: "move to top" or
+     * "move up" buttons, then keyboard dragging on the drag handle (space,
+     * arrow keys, space), then HTML5 drag-and-drop events. The caller checks
+     * the result by re-scanning.
+     * 
+     * @param {Array} queuedPlayers - Current queue from findQueuedPlayers
+     * @param {number} from - Index of the row to move
+     * @param {number} to - Index it should end up at (above `from`)
+     * @async
+     * @returns {Promise<string|null>} Name of the method tried, or null if the row has no controls
+     */
+    async moveQueueRow(queuedPlayers, from, to) {
+        const row = queuedPlayers[from].element;
+        const steps = from - to;
+
+        const moveTopSelectors = [
+            '[aria-label*="move to top" i]',
+            '[title*="move to top" i]',
+            '[class*="move-top"]',
+            '[class*="to-top"]'
+        ];
+        const moveUpSelectors = [
+            '[aria-label*="move up" i]',
+            '[title*="move up" i]',
+            '[class*="move-up"]',
+            '[class*="arrow-up"]'
+        ];
+        const dragHandleSelectors = [
+            '[data-rbd-drag-handle-draggable-id]',
+            '[data-rfd-drag-handle-draggable-id]',
+            '[aria-roledescription*="draggable" i]',
+            '[aria-roledescription*="sortable" i]',
+            '[class*="drag-handle"]'
+        ];
+        const findIn = (selectors) => {
+            for (const selector of selectors) {
+                const element = row.matches(selector) ? row : row.querySelector(selector);
+                if (element) return element;
+            }
+            return null;
+        };
+
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        await this.delay(100);
+
+        // Only jump to the top when that's where the row belongs
+        const moveTop = to === 0 ? findIn(moveTopSelectors) : null;
+        if (moveTop) {
+            moveTop.click();
+            return 'move to top';
+        }
+
+        const moveUp = findIn(moveUpSelectors);
+        if (moveUp) {
+            for (let i = 0; i < steps; i++) {
+                // The row re-renders after each click, so find its button again
+                const current = (await this.findQueuedPlayers()).find(q => q.playerId === queuedPlayers[from].playerId);
+                const button = current && (current.element.querySelector(moveUpSelectors.join(', ')));
+                if (!button) break;
+                button.click();
+                await this.delay(100);
+            }
+            return 'move up';
+        }
+
+        const handle = findIn(dragHandleSelectors);
+        if (!handle) return null;
+
+        // Keyboard dragging (react-beautiful-dnd, dnd-kit): space lifts, arrows move, space drops
+        const pressKey = (key, keyCode) => {
+            const init = { key, code: key === ' ' ? 'Space' : key, keyCode, which: keyCode, bubbles: true, cancelable: true };
+            handle.dispatchEvent(new KeyboardEvent('keydown', init));
+            handle.dispatchEvent(new KeyboardEvent('keyup', init));
+        };
+        handle.focus();
+        pressKey(' ', 32);
+        await this.delay(150);
+        for (let i = 0; i < steps; i++) {
+            pressKey('ArrowUp', 38);
+            await this.delay(100);
+        }
+        pressKey(' ', 32);
+        await this.delay(300);
+
+        const afterKeys = await this.findQueuedPlayers();
+        if (afterKeys.findIndex(q => q.playerId === queuedPlayers[from].playerId) === to) {
+            return 'keyboard drag';
+        }
+
+        // HTML5 drag-and-drop onto the row currently at the target position
+        const dropRow = afterKeys[to] && afterKeys[to].element;
+        const dragRow = (afterKeys.find(q => q.playerId === queuedPlayers[from].playerId) || queuedPlayers[from]).element;
+        if (!dropRow || !document.contains(dragRow)) return 'keyboard drag';
+
+        const dataTransfer = new DataTransfer();
+        const fire = (target, type) => target.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer }));
+        fire(dragRow, 'dragstart');
+        await this.delay(50);
+        fire(dropRow, 'dragenter');
+        fire(dropRow, 'dragover');
+        await this.delay(50);
+        fire(dropRow, 'drop');
+        fire(dragRow, 'dragend');
+        return 'drag and drop';
+    }
+
+    /**
+     * Displays the outcome of a queue reorder.
+     * 
+     * @param {Array} reorderResults - { name, rank, status: 'success'|'unchanged'|'failed', message } per player
+     */
+    displayReorderResults(reorderResults) {
+        const results = document.getElementById('analysis-results');
+        const moved = reorderResults.filter(r => r.status === 'success').length;
+        const unchanged = reorderResults.filter(r => r.status === 'unchanged').length;
+        const failed = reorderResults.filter(r => r.status === 'failed');
+
         let html = `<div class="queue-summary">
-            Clear Queue Results: ${successCount} removed, ${failureCount} failed
+            Reorder Results: ${moved} moved, ${unchanged} already in place, ${failed.length} couldn't be moved
         </div>`;
 
-        clearResults.forEach(result => {
-            const statusClass = result.status === 'success' ? 'good' : 'error';
-            const statusIcon = result.status === 'success' ? '✅' : '❌';
-            
-            html += `<div class="player-result ${statusClass}">
+        reorderResults.forEach(result => {
+            const statusClass = result.status === 'failed' ? 'error' : result.status === 'success' ? 'high' : 'skipped';
+            const statusIcon = result.status === 'failed' ? '❌' : result.status === 'success' ? '↕️' : '✅';
+            const rankLabel = result.rank !== null && result.rank !== undefined
+                ? `<span class="rank">#${result.rank}</span> ` : '';
+
+            html += `<div class="result-item ${statusClass}">
                 <div class="player-match">
-                    ${statusIcon} ${result.player} - ${result.message}
+                    ${statusIcon} ${rankLabel}${result.name} - ${result.message}
                 </div>
             </div>`;
         });
 
-        if (successCount > 0) {
+        if (failed.length === 0) {
             html += `<div class="success-note">
-                🧹 Successfully removed ${successCount} players from your draft queue!
+                🎉 Your queue is in cheatsheet order!
+            </div>`;
+        } else {
+            html += `<div class="error-note">
+                ⚠️ ${failed.length} players couldn't be moved: ${failed.map(r => r.name).join(', ')}. Sleeper's queue controls may have changed; drag them by hand or try again.
             </div>`;
         }
 
-        if (failureCount > 0) {
+        results.innerHTML = html;
+    }
+
+    /**
+     * Saves the current queue (order, names and player ids) to the history
+     * before an operation changes it. Only the newest snapshots are kept.
+     * 
+     * @param {string} operation - What is about to run: 'queue', 'clear', 'sync' or 'restore'
+     * @async
+     * @returns {Promise<Object>} The snapshot: { id, operation, draftId, takenAt, players: [{ playerId, name }] }
+     */
+    async takeQueueSnapshot(operation) {
+        const queuedPlayers = await this.findQueuedPlayers();
+        const snapshot = {
+            id: `${Date.now()}-${operation}`,
+            operation,
+            draftId: this.draft?.draftId || SleeperAPI.parseDraftId(location.href),
+            takenAt: Date.now(),
+            players: queuedPlayers.map(q => ({ playerId: q.playerId, name: q.name }))
+        };
+
+        this.queueHistory = [snapshot, ...this.queueHistory].slice(0, this.queueHistoryLimit);
+        this.saveQueueHistory();
+        this.renderQueueHistory();
+        this.log(`📸 Saved queue snapshot before ${operation}: ${snapshot.players.length} players`);
+        return snapshot;
+    }
+
+    /**
+     * Loads the queue snapshot history from chrome.storage.local.
+     * 
+     * @returns {void}
+     */
+    loadQueueHistory() {
+        this.queueHistory = ExtensionStorage.get('sleeper-helper-queue-history') || [];
+    }
+
+    /**
+     * Saves the queue snapshot history to chrome.storage.local.
+     * 
+     * @returns {void}
+     */
+    saveQueueHistory() {
+        ExtensionStorage.set('sleeper-helper-queue-history', this.queueHistory).then(saved => {
+            if (!saved) this.log('Failed to save queue history', 'warn');
+        });
+    }
+
+    /**
+     * Snapshots for the current draft (or all of them outside a draft room), newest first.
+     * 
+     * @returns {Array} Snapshots from takeQueueSnapshot
+     */
+    getQueueHistory() {
+        const draftId = this.draft?.draftId || SleeperAPI.parseDraftId(location.href);
+        return this.queueHistory.filter(snapshot => !draftId || !snapshot.draftId || snapshot.draftId === draftId);
+    }
+
+    /**
+     * Renders the snapshot list with a Restore button per snapshot and updates
+     * the Undo button.
+     * 
+     * @param {HTMLElement} [panel] - History container, defaults to #queue-history
+     * @returns {void}
+     */
+    renderQueueHistory(panel = document.getElementById('queue-history')) {
+        if (!panel) return;
+
+        const history = this.getQueueHistory();
+        const undoBtn = panel.closest('.sleeper-main-interface')?.querySelector('#undo-queue');
+        if (undoBtn && !undoBtn.classList.contains('loading')) {
+            undoBtn.disabled = history.length === 0;
+        }
+
+        if (history.length === 0) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+
+        const labels = { queue: 'Before add', clear: 'Before clear', sync: 'Before sync', restore: 'Before restore' };
+        const rows = history.map(snapshot => {
+            const time = new Date(snapshot.takenAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            const preview = snapshot.players.slice(0, 3).map(p => this.escapeHtml(p.name)).join(', ');
+            return `<div class="queue-history-row">
+                <span class="queue-history-label">${labels[snapshot.operation] || snapshot.operation} · ${time}</span>
+                <span class="queue-history-players" title="${preview}">${snapshot.players.length} players${preview ? `: ${preview}${snapshot.players.length > 3 ? '…' : ''}` : ''}</span>
+                <button class="picker-change" data-action="restore-snapshot" data-snapshot-id="${snapshot.id}">restore</button>
+            </div>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <h5>🕘 Queue history</h5>
+            ${rows}
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Undoes the last clear, sync, add or restore by restoring the newest
+     * snapshot, which is then dropped so the next undo goes further back.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async undoLastQueueOperation() {
+        const snapshot = this.getQueueHistory()[0];
+        if (!snapshot) {
+            this.showInfo(document.getElementById('analysis-results'), 'Nothing to undo yet.');
+            return;
+        }
+        await this.restoreQueueSnapshot(snapshot.id, true);
+    }
+
+    /**
+     * Puts the queue back to a snapshot: removes players added since, re-adds
+     * players removed since (except ones drafted in the meantime) and moves
+     * them into the saved order. A plain restore is itself snapshotted so it
+     * can be undone; an undo consumes its snapshot instead.
+     * 
+     * @param {string} snapshotId - Snapshot id
+     * @param {boolean} [undo=false] - Whether this is "Undo last operation"
+     * @async
+     * @returns {Promise<void>}
+     */
+    async restoreQueueSnapshot(snapshotId, undo = false) {
+        if (this.operation) {
+            this.log(`A ${this.operation.kind} operation is already running`, 'warn');
+            return;
+        }
+
+        const snapshot = this.queueHistory.find(s => s.id === snapshotId);
+        if (!snapshot) return;
+
+        const results = document.getElementById('analysis-results');
+        const undoBtn = document.getElementById('undo-queue');
+        const operation = this.startOperation('restore');
+
+        this.setButtonLoading(undoBtn, true);
+        results.className = 'sleeper-results loading';
+        results.innerHTML = `
+            <div class="loading">${undo ? 'Undoing last operation' : 'Restoring queue snapshot'}...</div>
+            <div class="sleeper-progress">
+                <div class="sleeper-progress-bar" id="restore-progress"></div>
+            </div>
+            <div id="restore-status"></div>
+        `;
+
+        try {
+            if (!undo) await this.takeQueueSnapshot('restore');
+
+            const draftedIds = await this.findDraftedIds();
+            const restorable = snapshot.players.filter(p => p.playerId && !draftedIds.has(p.playerId));
+            const skipped = {
+                drafted: snapshot.players.filter(p => p.playerId && draftedIds.has(p.playerId)).map(p => p.name),
+                unidentified: snapshot.players.filter(p => !p.playerId).map(p => p.name)
+            };
+
+            const targets = restorable.map(p => ({
+                bestMatch: { player_id: p.playerId, full_name: p.name },
+                rank: snapshot.players.indexOf(p) + 1
+            }));
+            const updateProgress = this.progressReporter('restore');
+
+            const { syncResults, remaining } = await this.runQueueSync(targets, updateProgress);
+            const reorderResults = await this.runQueueReorder(targets.map(t => ({
+                playerId: t.bestMatch.player_id,
+                name: t.bestMatch.full_name,
+                rank: t.rank
+            })), updateProgress);
+
+            if (undo) {
+                this.queueHistory = this.queueHistory.filter(s => s.id !== snapshot.id);
+                this.saveQueueHistory();
+                this.renderQueueHistory();
+            }
+
+            const failed = [...syncResults, ...reorderResults].some(r => r.status === 'failed');
+            results.className = failed ? 'sleeper-results error' : 'sleeper-results success';
+            this.displayRestoreResults(snapshot, { syncResults, remaining, reorderResults, skipped, undo });
+
+            if (!failed) {
+                this.playNotificationSound();
+            }
+        } catch (error) {
+            results.className = 'sleeper-results error';
+            this.showError(results, `Restore failed: ${error.message}`);
+            this.log(`Restore error: ${error.message}`, 'error');
+        } finally {
+            this.finishOperation(operation);
+            this.setButtonLoading(undoBtn, false);
+            this.renderQueueHistory();
+        }
+    }
+
+    /**
+     * Displays the outcome of restoring a snapshot. Only changes that failed
+     * are listed one by one.
+     * 
+     * @param {Object} snapshot - The restored snapshot
+     * @param {Object} outcome - { syncResults, remaining, reorderResults, skipped: { drafted, unidentified }, undo }
+     */
+    displayRestoreResults(snapshot, { syncResults, remaining, reorderResults, skipped, undo }) {
+        const results = document.getElementById('analysis-results');
+        const added = syncResults.filter(r => r.action === 'add' && r.status === 'success').length;
+        const removed = syncResults.filter(r => r.action === 'remove' && r.status === 'success').length;
+        const moved = reorderResults.filter(r => r.status === 'success').length;
+        const failures = [
+            ...syncResults.filter(r => r.status === 'failed').map(r => ({ name: r.player, rank: r.rank, message: r.message })),
+            ...reorderResults.filter(r => r.status === 'failed')
+        ];
+
+        let html = `<div class="queue-summary">
+            ${undo ? 'Undo' : 'Restore'} Results: ${added} re-added, ${removed} removed, ${moved} moved${failures.length > 0 ? `, ${failures.length} failed` : ''}
+        </div>`;
+
+        failures.forEach(failure => {
+            const rankLabel = failure.rank !== null && failure.rank !== undefined
+                ? `<span class="rank">#${failure.rank}</span> ` : '';
+            html += `<div class="result-item error">
+                <div class="player-match">❌ ${rankLabel}${this.escapeHtml(failure.name)} - ${failure.message}</div>
+            </div>`;
+        });
+
+        if (skipped.drafted.length > 0) {
+            html += `<div class="result-item skipped drafted">
+                <div class="player-match">🚫 Drafted since the snapshot: ${skipped.drafted.map(name => this.escapeHtml(name)).join(', ')}</div>
+            </div>`;
+        }
+        if (skipped.unidentified.length > 0) {
+            html += `<div class="result-item skipped">
+                <div class="player-match">⚠️ Couldn't be identified when saved, add by hand: ${skipped.unidentified.map(name => this.escapeHtml(name)).join(', ')}</div>
+            </div>`;
+        }
+
+        if (failures.length === 0 && remaining.toAdd.length === 0 && remaining.toRemove.length === 0) {
+            html += `<div class="success-note">
+                ↩️ Your queue is back to how it was ${new Date(snapshot.takenAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.
+            </div>`;
+        } else {
             html += `<div class="error-note">
-                ⚠️ ${failureCount} players could not be removed. They may not be in the queue or the buttons couldn't be found.
+                ⚠️ The queue doesn't fully match the snapshot: ${remaining.toAdd.length} missing, ${remaining.toRemove.length} extra. Restore it again from the queue history to retry.
             </div>`;
         }
 
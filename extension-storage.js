@@ -0,0 +1,186 @@
+/**
+ * Extension Storage
+ *
+ * Keeps the helper's settings and data in chrome.storage (through bridge.js)
+ * instead of sleeper.com's localStorage, where they were per-origin, visible
+ * to the site and never synced between machines.
+ *
+ * `load` reads the tracked keys once; after that `get` is synchronous (from
+ * an in-memory mirror) and `set`/`remove` update the mirror right away and
+ * write through in the background. Values still in localStorage from older
+ * versions are moved over on first load. Without the bridge (e.g. the page
+ * was open before the extension was reloaded) everything falls back to
+ * localStorage.
+ */
+const ExtensionStorage = (function() {
+  const bridge = typeof PageBridge !== 'undefined' ? PageBridge : null;
+
+  const values = new Map(); // key -> value
+  const areas = new Map(); // key -> 'sync' | 'local'
+  const changeListeners = [];
+  let backend = 'localStorage';
+
+  const clone = function(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  };
+
+  const readLocalStorage = function(key) {
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : undefined;
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${key} from localStorage:`, error.message);
+      return undefined;
+    }
+  };
+
+  const storageRequest = async function(request, timeout = 0) {
+    const response = await bridge.send({ type: 'sleeper-storage', ...request }, timeout);
+    if (!response.ok) {
+      throw new Error(response.error && response.error.message || 'Storage request failed');
+    }
+    return response.result;
+  };
+
+  const write = async function(key, value) {
+    if (backend !== 'chrome') {
+      if (value === undefined) localStorage.removeItem(key);
+      else localStorage.setItem(key, JSON.stringify(value));
+      return;
+    }
+
+    const area = areas.get(key) || 'local';
+    if (value === undefined) {
+      await storageRequest({ op: 'remove', area, keys: [key] });
+    } else {
+      await storageRequest({ op: 'set', area, items: { [key]: value } });
+    }
+  };
+
+  // Changes made in other tabs or synced from other machines
+  if (bridge) {
+    bridge.onEvent('sleeper-storage-changed', ({ area, changes }) => {
+      Object.entries(changes).forEach(([key, change]) => {
+        if (areas.get(key) !== area) return;
+
+        const newValue = change.newValue;
+        if (JSON.stringify(newValue) === JSON.stringify(values.get(key))) return;
+
+        values.set(key, clone(newValue));
+        changeListeners.forEach(listener => listener(key, clone(newValue)));
+      });
+    });
+  }
+
+  return {
+    /**
+     * Load tracked keys, migrating any still in localStorage.
+     *
+     * @param {Object} keyAreas - Key -> storage area ('sync' or 'local')
+     * @param {number} [timeout=1000] - How long to wait for the bridge, in ms
+     * @returns {Promise<string>} Backend in use: 'chrome' or 'localStorage'
+     */
+    load: async function(keyAreas, timeout = 1000) {
+      Object.entries(keyAreas).forEach(([key, area]) => areas.set(key, area));
+
+      if (bridge) {
+        try {
+          for (const [key, area] of Object.entries(keyAreas)) {
+            const stored = await storageRequest({ op: 'get', area, keys: [key] }, timeout);
+            let value = stored ? stored[key] : undefined;
+
+            const legacy = readLocalStorage(key);
+            if (value === undefined && legacy !== undefined) {
+              await storageRequest({ op: 'set', area, items: { [key]: legacy } });
+              console.log(`💾 Moved ${key} from localStorage to chrome.storage.${area}`);
+              value = legacy;
+            }
+            if (legacy !== undefined) localStorage.removeItem(key);
+
+            values.set(key, value);
+          }
+          backend = 'chrome';
+          return backend;
+        } catch (error) {
+          console.warn('⚠️ chrome.storage not reachable, using localStorage:', error.message);
+        }
+      }
+
+      backend = 'localStorage';
+      Object.keys(keyAreas).forEach(key => values.set(key, readLocalStorage(key)));
+      return backend;
+    },
+
+    /**
+     * Read a loaded key.
+     *
+     * @param {string} key - Storage key
+     * @returns {*} A copy of the value, or undefined if not set
+     */
+    get: function(key) {
+      return clone(values.get(key));
+    },
+
+    /**
+     * Store a value.
+     *
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<boolean>} True once written
+     */
+    set: async function(key, value) {
+      values.set(key, clone(value));
+      try {
+        await write(key, clone(value));
+        return true;
+      } catch (error) {
+        console.warn(`⚠️ Could not save ${key}:`, error.message);
+        return false;
+      }
+    },
+
+    /**
+     * Remove a value.
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True once removed
+     */
+    remove: async function(key) {
+      values.delete(key);
+      try {
+        await write(key, undefined);
+        return true;
+      } catch (error) {
+        console.warn(`⚠️ Could not remove ${key}:`, error.message);
+        return false;
+      }
+    },
+
+    /**
+     * Listen for changes made in other tabs or synced from other machines.
+     *
+     * @param {Function} listener - Called with (key, newValue); newValue is undefined when removed
+     */
+    onChange: function(listener) {
+      changeListeners.push(listener);
+    },
+
+    /**
+     * Where values are kept.
+     *
+     * @returns {string} 'chrome' or 'localStorage'
+     */
+    getBackend: function() {
+      return backend;
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = ExtensionStorage;
+}
+
+if (typeof window !== 'undefined') {
+  window.ExtensionStorage = ExtensionStorage;
+}
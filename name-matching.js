@@ -30,6 +30,11 @@
  */
 
 const NameMatcher = (function() {
+  const teams = typeof NflTeams !== 'undefined' ? NflTeams : require('./nfl-teams.js');
+
+  // Words that mark an input as a team defense ("Bills D/ST", "Buffalo Defense", "SF DST")
+  const defenseWordPattern = /\b(d\/st|dst|def|defense|defence|d)\b\.?/gi;
+
   // ASCII to diacritic mapping (from Yahoo extension)
   const asciiToDiacritic = {
     'A': 'ÀÁÂÄÃÅĀ', 'AE': 'Æ',
@@ -71,33 +76,94 @@ const NameMatcher = (function() {
     /^Chris(topher)? /i,
     /^Dan(iel)? /i,
     /^Dav(e|id) /i,
+    /^Gab(e|riel) /i,
     /^Greg(ory)? /i,
     /^Ja(ke|[ck]ob) /i,
     /^Jo(e|seph) /i,
     /^Jon(athan)? /i,
     /^Josh(ua)? /i,
-    /^Ken(neth)? /i,
+    /^Ken(ny|neth)? /i,
     /^Matt(hew)? /i,
     /^Mi(ke|chael) /i,
     /^Mitch(ell)? /i,
     /^Nat(e|han) /i,
     /^Nic(ky?|holas) /i,
-    /^Nori(chika)? /i,
     /^Rob(ert)? /i,
     /^Ste(vi?e|phen) /i,
     /^Vince(nt)? /i,
     /^Wil(l(iam)?)? /i,
-    /^Yuli(eski)? /i
+    /^Zach(ary)? /i
   ];
 
-  // Manual regex overrides (from Yahoo extension)
-  const nameRegexes = {
-    'Corey Brown': /^(Corey|Philly) Brown/i,
-    'Pierre-Alexandr Parenteau': /^Pierre-Alexandre? Parenteau/i,
-    'Carl Edwards Jr.': /^(Carl|C\.J\.) Edwards( Jr\.)?/i,
-    'Adalberto Mondesi': /^(Raul )?Adalberto Mondesi/i,
-    'Michael A. Taylor': /^Michael (A\. )?Taylor/i,
-    'Mychal Givens': /^Mychal (Antonio )?Givens/i
+  // Regex cache for nameToRegex (NFL nicknames live in nflNicknames below)
+  const nameRegexes = {};
+
+  // NFL nicknames and alternate names. Each group lists names for the same
+  // player, so it works whichever form Sleeper and the cheatsheet use.
+  const nflNicknames = [
+    ['Marquise Brown', 'Hollywood Brown', 'Hollywood'],
+    ['Gabriel Davis', 'Gabe Davis'],
+    ['Chigoziem Okonkwo', 'Chig Okonkwo', 'Chig'],
+    ['Nathaniel Dell', 'Tank Dell'],
+    ['Chatarius Atwell', 'Tutu Atwell'],
+    ['Zonovan Knight', 'Bam Knight'],
+    ['Robbie Chosen', 'Robbie Anderson'],
+    ['Scott Miller', 'Scotty Miller'],
+    ['Jeffery Wilson', 'Jeff Wilson'],
+    ['DeKaylin Metcalf', 'DK Metcalf'],
+    ['Kenneth Walker', 'K9'],
+    ['Ronald Jones', 'RoJo'],
+    ['Christian McCaffrey', 'CMC'],
+    ['Amon-Ra St. Brown', 'Sun God', 'ARSB'],
+    ['Jaxon Smith-Njigba', 'JSN']
+  ];
+
+  // Generational suffixes, ignored on both sides of a comparison
+  const suffixPattern = /,?\s+(jr|sr|ii|iii|iv|v)\.?$/i;
+
+  /**
+   * Normalize a name for comparison: fold diacritics, drop apostrophes
+   * (Ja'Marr -> JaMarr), strip suffixes (Jr., Sr., II, III) and collapse spaces.
+   * Hyphens and periods are left for nameToRegex, which treats them as optional.
+   */
+  const normalizeName = function(name) {
+    return asciiFold(String(name || ''))
+      .replace(/['\u2018\u2019`]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(suffixPattern, '')
+      .trim();
+  };
+
+  /**
+   * Comparison key matching Sleeper's search_full_name format (lowercase letters and digits only).
+   */
+  const nameKey = function(name) {
+    return normalizeName(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  };
+
+  const nicknameLookup = {};
+  nflNicknames.forEach(group => {
+    const keys = group.map(nameKey);
+    keys.forEach(key => { nicknameLookup[key] = keys; });
+  });
+
+  /**
+   * Keys a player can be found under: Sleeper's search_full_name and
+   * search_first_name + search_last_name, plus our own normalized first + last
+   * name (which drops suffixes Sleeper may keep).
+   */
+  const playerKeys = function(player) {
+    const keys = [nameKey(`${player.first_name} ${player.last_name}`)];
+    const searchKeys = [
+      player.search_full_name,
+      player.search_first_name && player.search_last_name
+        ? `${player.search_first_name}${player.search_last_name}` : null
+    ];
+    searchKeys.forEach(key => {
+      if (key && !keys.includes(key)) keys.push(key);
+    });
+    return keys;
   };
 
   const nameToRegex = function(name) {
@@ -123,18 +189,333 @@ const NameMatcher = (function() {
     return nameRegexes[name];
   };
 
+  // Fuzzy fallback tuning: minimum score to suggest a player, and how many suggestions to return
+  const fuzzyThreshold = 0.75;
+  const fuzzyLimit = 5;
+
+  const foldForFuzzy = function(str) {
+    return normalizeName(str).toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+  };
+
+  /**
+   * Optimal string alignment distance: Levenshtein plus adjacent transpositions,
+   * so "Christain" -> "Christian" costs 1 rather than 2.
+   */
+  const editDistance = function(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(
+          rows[i - 1][j] + 1,
+          rows[i][j - 1] + 1,
+          rows[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  };
+
+  const soundexCodes = {
+    b: 1, f: 1, p: 1, v: 1,
+    c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+    d: 3, t: 3, l: 4, m: 5, n: 5, r: 6
+  };
+
+  /**
+   * American Soundex code (e.g. "McCaffery" and "McCaffrey" are both M216).
+   */
+  const soundex = function(word) {
+    if (!word) return '';
+    let code = word[0].toUpperCase();
+    let previous = soundexCodes[word[0]] || 0;
+
+    for (let i = 1; i < word.length && code.length < 4; i++) {
+      const char = word[i];
+      const digit = soundexCodes[char] || 0;
+      if (digit && digit !== previous) {
+        code += digit;
+      }
+      // h and w do not separate letters with the same code; vowels do
+      if (char !== 'h' && char !== 'w') {
+        previous = digit;
+      }
+    }
+
+    return code.padEnd(4, '0');
+  };
+
+  /**
+   * Score how close a typed name is to a player's name, from 0 to 1.
+   * Blends spelling similarity (edit distance) with whether the first and last
+   * names sound the same (Soundex).
+   */
+  const fuzzyScore = function(searchFolded, playerFolded) {
+    const distance = editDistance(searchFolded.replace(/ /g, ''), playerFolded.replace(/ /g, ''));
+    const length = Math.max(searchFolded.replace(/ /g, '').length, playerFolded.replace(/ /g, '').length);
+    const spelling = length > 0 ? 1 - distance / length : 0;
+
+    const searchParts = searchFolded.split(' ');
+    const playerParts = playerFolded.split(' ');
+    const firstSounds = soundex(searchParts[0]) === soundex(playerParts[0]);
+    const lastSounds = soundex(searchParts[searchParts.length - 1]) === soundex(playerParts[playerParts.length - 1]);
+    const phonetic = ((firstSounds ? 1 : 0) + (lastSounds ? 1 : 0)) / 2;
+
+    return 0.7 * spelling + 0.3 * phonetic;
+  };
+
+  const playsPosition = function(player, positions) {
+    return positions.includes(player.position) ||
+      (player.fantasy_positions || []).some(position => positions.includes(position));
+  };
+
+  /**
+   * Narrow name matches using team/position hints from the input line.
+   * A hint only filters when at least one candidate satisfies it, so a stale
+   * team (e.g. after a trade) never turns a good name match into no match.
+   * Hints that eliminated candidates are recorded on the survivors as `decidedBy`.
+   */
+  const applyHints = function(matches, team, positions) {
+    const hints = [];
+    if (positions && positions.length > 0) {
+      hints.push({ name: 'position', value: positions.join('/'), test: p => playsPosition(p, positions) });
+    }
+    if (team) {
+      hints.push({ name: 'team', value: team, test: p => p.team === team });
+    }
+
+    let remaining = matches;
+    const decidedBy = [];
+
+    for (const hint of hints) {
+      const satisfying = remaining.filter(hint.test);
+      if (satisfying.length > 0 && satisfying.length < remaining.length) {
+        remaining = satisfying;
+        decidedBy.push({ hint: hint.name, value: hint.value });
+      }
+    }
+
+    return remaining.map(match => ({ ...match, decidedBy }));
+  };
+
+  // Confidence scoring: how the match happened sets the base, how close the
+  // names are adds up to closenessWeight, and Sleeper's relevance signals
+  // nudge the result. Bases leave fuzzy suggestions below real matches.
+  const matchTypeScores = {
+    exact: { points: 0.75, reason: 'exact name' },
+    alias: { points: 0.7, reason: 'NFL nickname' },
+    defense: { points: 0.75, reason: 'team defense' },
+    pattern: { points: 0.45, reason: 'name pattern' },
+    fuzzy: { points: 0.2, reason: 'similar spelling' }
+  };
+  const closenessWeight = 0.2;
+  const fantasyPositions = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+  // Sleeper gives players nobody searches for this search_rank
+  const unrankedSearchRank = 9999999;
+
+  /**
+   * How close two names are once normalized, from 0 (nothing alike) to 1
+   * (same comparison key). "Josh" vs "Josh Allen" is far; "Mike" vs "Michael" is close.
+   */
+  const nameCloseness = function(a, b) {
+    const keyA = nameKey(a);
+    const keyB = nameKey(b);
+    const length = Math.max(keyA.length, keyB.length);
+    return length > 0 ? 1 - editDistance(keyA, keyB) / length : 0;
+  };
+
+  /**
+   * Score adjustments from what Sleeper knows about the player: position,
+   * status, team, search_rank, depth_chart_order and years_exp.
+   */
+  const relevanceFactors = function(player) {
+    const factors = [];
+    if (player.position === 'DEF') return factors;
+
+    const positions = [player.position, ...(player.fantasy_positions || [])];
+    if (!positions.some(position => fantasyPositions.includes(position))) {
+      factors.push({ reason: 'non-fantasy position', points: -0.15 });
+    }
+    if (player.status !== 'Active') {
+      factors.push({ reason: 'not active', points: -0.15 });
+    }
+    if (!player.team) {
+      factors.push({ reason: 'free agent', points: -0.05 });
+    }
+
+    const searchRank = player.search_rank;
+    if (searchRank && searchRank <= 150) {
+      factors.push({ reason: 'top-150 search rank', points: 0.05 });
+    } else if (searchRank && searchRank <= 400) {
+      factors.push({ reason: 'top-400 search rank', points: 0.03 });
+    } else if ((!searchRank || searchRank >= unrankedSearchRank) && player.years_exp !== 0) {
+      // Rookies get a pass until Sleeper ranks them
+      factors.push({ reason: 'no search rank', points: -0.03 });
+    }
+
+    if (player.depth_chart_order === 1) {
+      factors.push({ reason: 'depth chart starter', points: 0.03 });
+    } else if (player.depth_chart_order === 2) {
+      factors.push({ reason: 'depth chart #2', points: 0.01 });
+    }
+
+    return factors;
+  };
+
+  // Name pieces are folded to lowercase letters and digits and split wherever
+  // nameToRegex allows a separator (spaces, hyphens, periods)
+  const foldPiece = function(piece) {
+    return piece.toLowerCase().replace(/[^a-z0-9]/g, '');
+  };
+
+  const namePieces = function(name) {
+    return normalizeName(name).split(/[\s\-.]+/).map(foldPiece).filter(Boolean);
+  };
+
+  const addToIndex = function(map, key, ordinal) {
+    if (!key) return;
+    const list = map.get(key);
+    if (!list) {
+      map.set(key, [ordinal]);
+    } else if (list[list.length - 1] !== ordinal) {
+      list.push(ordinal);
+    }
+  };
+
+  const sortedPieceIndex = function(map) {
+    return { map, keys: [...map.keys()].sort() };
+  };
+
+  /**
+   * Collect ordinals for every indexed piece that starts with the token
+   * ("jo" -> "josh", "jordan") or that the token starts with
+   * ("smithnjigba" -> "smith"), which covers every way nameToRegex can
+   * line a search token up with a player's name.
+   */
+  const collectPieces = function(pieceIndex, token, ordinals) {
+    const { map, keys } = pieceIndex;
+
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (keys[mid] < token) low = mid + 1; else high = mid;
+    }
+    for (let i = low; i < keys.length && keys[i].startsWith(token); i++) {
+      map.get(keys[i]).forEach(ordinal => ordinals.add(ordinal));
+    }
+
+    for (let length = 1; length < token.length; length++) {
+      const list = map.get(token.slice(0, length));
+      if (list) list.forEach(ordinal => ordinals.add(ordinal));
+    }
+  };
+
+  // One index per players object, so a new player load gets a fresh index
+  const playerIndexes = new WeakMap();
+
+  /**
+   * Build the lookup index for a player database:
+   * - byKey: comparison keys (normalized name, search_full_name, search first + last) for exact and nickname hits
+   * - firstPieces: first name piece, for single-word searches ("Josh")
+   * - lastPieces: every later name piece plus search_last_name, for multi-word searches
+   * - defenses: DEF entries by team code
+   * Ordinals are positions in Object.entries(players), so candidates can be
+   * visited in the same order a full scan would visit them.
+   */
+  const buildPlayerIndex = function(players) {
+    const entries = Object.entries(players);
+    const byKey = new Map();
+    const firstPieces = new Map();
+    const lastPieces = new Map();
+    const defenses = new Map();
+    const fuzzyNames = [];
+
+    entries.forEach(([playerId, player], ordinal) => {
+      if (player.position === 'DEF' && player.team && !defenses.has(player.team)) {
+        defenses.set(player.team, player);
+      }
+      if (!player.first_name || !player.last_name) return;
+
+      const fullName = `${player.first_name} ${player.last_name}`;
+      playerKeys(player).forEach(key => addToIndex(byKey, key, ordinal));
+
+      const pieces = namePieces(fullName);
+      addToIndex(firstPieces, pieces[0], ordinal);
+      pieces.slice(1).forEach(piece => addToIndex(lastPieces, piece, ordinal));
+      if (player.search_last_name) addToIndex(lastPieces, player.search_last_name, ordinal);
+
+      fuzzyNames[ordinal] = foldForFuzzy(fullName);
+    });
+
+    return {
+      entries,
+      byKey,
+      firstPieces: sortedPieceIndex(firstPieces),
+      lastPieces: sortedPieceIndex(lastPieces),
+      defenses,
+      fuzzyNames
+    };
+  };
+
+  const getPlayerIndex = function(players) {
+    let index = playerIndexes.get(players);
+    if (!index) {
+      index = buildPlayerIndex(players);
+      playerIndexes.set(players, index);
+    }
+    return index;
+  };
+
+  /**
+   * Ordinals of players that could match searchName by key, nickname or
+   * namesMatch, in full-scan order. A search's second word always lines up
+   * with one of the player's later name pieces (and a one-word search with
+   * the first piece), so looking those up is enough. Returns null when the
+   * search has nothing usable to look up and a full scan is needed.
+   */
+  const candidateOrdinals = function(index, searchName, keys) {
+    const ordinals = new Set();
+    keys.forEach(key => (index.byKey.get(key) || []).forEach(ordinal => ordinals.add(ordinal)));
+
+    const words = normalizeName(searchName).split(' ');
+    const tokens = words.length > 1
+      ? words.slice(1).map(foldPiece).filter(Boolean)
+      : namePieces(words[0]).slice(0, 1);
+    if (tokens.length === 0) return null;
+
+    const pieceIndex = words.length > 1 ? index.lastPieces : index.firstPieces;
+    tokens.forEach(token => collectPieces(pieceIndex, token, ordinals));
+
+    return [...ordinals].sort((a, b) => a - b);
+  };
+
   return {
     /**
      * Core name matching function adapted from Yahoo extension.
      * Uses advanced regex patterns and diacritic folding for robust name matching.
+     * Both names are normalized the same way first, so apostrophes and
+     * suffixes (Jr., Sr., II, III) never decide a match.
      * 
      * @param {string} n0 - First name to compare
      * @param {string} n1 - Second name to compare
      * @returns {boolean} True if names match, false otherwise
      */
     namesMatch: function(n0, n1) {
-      n0 = asciiFold(n0);
-      n1 = asciiFold(n1);
+      n0 = normalizeName(n0);
+      n1 = normalizeName(n1);
       
       if (n0.match(nameToRegex(n1))) {
         return true;
@@ -147,6 +528,53 @@ const NameMatcher = (function() {
       return false;
     },
 
+    /**
+     * Look up the NFL nickname/alternate-name group for a name.
+     * 
+     * @param {string} name - Name to look up (e.g. "Hollywood Brown")
+     * @returns {Array} Comparison keys for every name in the group, or just the name's own key
+     */
+    aliasKeys: function(name) {
+      const key = nameKey(name);
+      return nicknameLookup[key] || [key];
+    },
+
+    /**
+     * Comparison key for a name (lowercase letters and digits, suffixes dropped),
+     * in the same format as Sleeper's search_full_name. User aliases are stored
+     * under this key.
+     * 
+     * @param {string} name - Name to convert
+     * @returns {string} Comparison key
+     */
+    nameKey: function(name) {
+      return nameKey(name);
+    },
+
+    /**
+     * Normalize a name the way NameMatcher compares names (diacritics folded,
+     * apostrophes and suffixes removed).
+     * 
+     * @param {string} name - Name to normalize
+     * @returns {string} Normalized name
+     */
+    normalizeName: function(name) {
+      return normalizeName(name);
+    },
+
+    /**
+     * Build (or reuse) the lookup index for a player database. findPlayerMatches
+     * builds it on first use anyway; call this right after loading players so
+     * the first analysis doesn't pay for it. The index is cached per players
+     * object, so a fresh load gets a fresh index.
+     *
+     * @param {Object} players - Player database object
+     * @returns {number} Number of indexed players
+     */
+    indexPlayers: function(players) {
+      return getPlayerIndex(players).entries.length;
+    },
+
     /**
      * Enhanced matching for Sleeper player objects with filtering and confidence scoring.
      * Searches through player database and returns matches sorted by confidence.
@@ -156,21 +584,72 @@ const NameMatcher = (function() {
      * @param {Object} [options={}] - Search options
      * @param {boolean} [options.requireActive=true] - Only include active players
      * @param {boolean} [options.preferActive=false] - Prefer active players in results
-     * @param {Array} [options.preferredPositions=null] - Array of preferred positions
+     * @param {Array} [options.preferredPositions=null] - Array of preferred positions (also checks fantasy_positions)
      * @param {boolean} [options.requirePosition=false] - Require position match
-     * @returns {Array} Array of matching players with confidence scores
+     * @param {string} [options.team=null] - Preferred team abbreviation (e.g. 'PIT')
+     * @param {boolean} [options.requireTeam=false] - Require team match
+     * @param {boolean} [options.fuzzy=true] - Suggest near-miss spellings when nothing matches exactly
+     * @param {Object} [options.userAliases=null] - User aliases as { nameKey: playerId }, checked before anything else
+     *   (an alias is ignored when the aliased player doesn't fit the team/position hints)
+     * @returns {Array} Array of matching players with confidence scores and the hints that decided them.
+     *   Fuzzy suggestions are flagged with `matchType: 'fuzzy'` and `suggested: true`.
      */
     findPlayerMatches: function(searchName, players, options = {}) {
       const {
         requireActive = true,
         preferActive = false,
         preferredPositions = null,
-        requirePosition = false
+        requirePosition = false,
+        team = null,
+        requireTeam = false,
+        fuzzy = true,
+        userAliases = null
       } = options;
 
-      const matches = [];
+      // Player data may have failed to load
+      if (!players) return [];
+
+      // User aliases map an input straight to a player and win over any matching,
+      // unless the line's team/position hints point at someone else
+      const aliasedId = userAliases ? userAliases[nameKey(searchName)] : null;
+      const aliased = aliasedId ? players[aliasedId] : null;
+      const aliasFitsHints = aliased &&
+        (!team || (aliased.team || (aliased.position === 'DEF' ? aliasedId : null)) === team) &&
+        (!preferredPositions || playsPosition(aliased, preferredPositions));
+      if (aliasFitsHints) {
+        const player = aliased;
+        const fullName = player.position === 'DEF' && teams.displayName(player.team || aliasedId)
+          ? teams.displayName(player.team || aliasedId)
+          : `${player.first_name} ${player.last_name}`;
+        return [{
+          ...player,
+          playerId: aliasedId,
+          fullName,
+          full_name: player.full_name || fullName,
+          matchType: 'user-alias',
+          decidedBy: [],
+          confidence: 1.0,
+          confidenceBreakdown: [{ reason: 'your alias', points: 1.0 }]
+        }];
+      }
+
+      // Team defenses are keyed by team, not by a person's name
+      if (this.isDefenseSearch(searchName, preferredPositions)) {
+        const defenseMatches = this.findDefenseMatches(searchName, players, options);
+        if (defenseMatches.length > 0) return defenseMatches;
+      }
+
+      const searchKey = nameKey(searchName);
+      const nicknameKeys = nicknameLookup[searchKey] || [];
+
+      let matches = [];
+
+      // Only visit players the index says could match, in full-scan order
+      const index = getPlayerIndex(players);
+      const ordinals = candidateOrdinals(index, searchName, [searchKey, ...nicknameKeys]);
+      const candidates = ordinals ? ordinals.map(ordinal => index.entries[ordinal]) : index.entries;
       
-      for (const [playerId, player] of Object.entries(players)) {
+      for (const [playerId, player] of candidates) {
         // Skip players without required data
         if (!player.first_name || !player.last_name) continue;
         
@@ -179,20 +658,47 @@ const NameMatcher = (function() {
         
         // Filter by position if specified
         if (requirePosition && preferredPositions && 
-            !preferredPositions.includes(player.position)) continue;
+            !playsPosition(player, preferredPositions)) continue;
+
+        // Filter by team if specified
+        if (requireTeam && team && player.team !== team) continue;
 
         const fullName = `${player.first_name} ${player.last_name}`;
+        const keys = playerKeys(player);
+        let matchType = null;
         
-        if (this.namesMatch(searchName, fullName)) {
+        if (keys.includes(searchKey)) {
+          matchType = 'exact';
+        } else if (this.namesMatch(searchName, fullName)) {
+          matchType = 'pattern';
+        } else if (nicknameKeys.length > 0 && keys.some(key => nicknameKeys.includes(key))) {
+          matchType = 'alias';
+        }
+
+        if (matchType) {
+          const score = this.scoreMatch(searchName, fullName, player, matchType);
           matches.push({
             ...player,
             playerId,
             fullName,
-            confidence: this.calculateConfidence(searchName, fullName, player)
+            matchType,
+            confidence: score.confidence,
+            confidenceBreakdown: score.breakdown
           });
         }
       }
 
+      // Bare team names ("49ers", "Buffalo") fall back to that team's defense,
+      // then typos fall back to fuzzy suggestions
+      if (matches.length === 0) {
+        const defenseMatches = this.findDefenseMatches(searchName, players, options);
+        if (defenseMatches.length > 0 || !fuzzy) return defenseMatches;
+        return this.findFuzzyMatches(searchName, players, options);
+      }
+
+      // Let team/position hints pick between same-name players
+      matches = applyHints(matches, team, preferredPositions);
+
       // Sort by confidence score, with optional preference for active players
       return matches.sort((a, b) => {
         // If preferActive is enabled, prioritize active players over inactive
@@ -206,38 +712,161 @@ const NameMatcher = (function() {
     },
 
     /**
-     * Calculate confidence score for a name match based on various factors.
+     * Fuzzy fallback tier: rank near-miss spellings ("Christain McCaffery",
+     * "JaMarr Chase") by edit distance and phonetic similarity. Confidence is
+     * kept below regex matches so these always read as suggestions.
+     * 
+     * @param {string} searchName - Name to search for
+     * @param {Object} players - Player database object
+     * @param {Object} [options={}] - Same filters and hints as findPlayerMatches
+     * @returns {Array} Up to five suggested players, best first
+     */
+    findFuzzyMatches: function(searchName, players, options = {}) {
+      const {
+        requireActive = true,
+        preferredPositions = null,
+        requirePosition = false,
+        team = null,
+        requireTeam = false
+      } = options;
+
+      const searchFolded = foldForFuzzy(searchName);
+      if (searchFolded.length < 3) return [];
+      const searchLength = searchFolded.replace(/ /g, '').length;
+
+      let matches = [];
+      const index = getPlayerIndex(players);
+
+      index.entries.forEach(([playerId, player], ordinal) => {
+        if (!player.first_name || !player.last_name) return;
+        if (requireActive && player.status !== 'Active') return;
+        if (requirePosition && preferredPositions &&
+            !playsPosition(player, preferredPositions)) return;
+        if (requireTeam && team && player.team !== team) return;
+
+        const fullName = `${player.first_name} ${player.last_name}`;
+        const playerFolded = index.fuzzyNames[ordinal];
+
+        // Cheap length check before the edit distance
+        if (Math.abs(playerFolded.replace(/ /g, '').length - searchLength) > 4) return;
+
+        const similarity = fuzzyScore(searchFolded, playerFolded);
+        if (similarity < fuzzyThreshold) return;
+
+        const score = this.scoreMatch(searchName, fullName, player, 'fuzzy', similarity);
+        matches.push({
+          ...player,
+          playerId,
+          fullName,
+          matchType: 'fuzzy',
+          suggested: true,
+          fuzzyScore: similarity,
+          confidence: score.confidence,
+          confidenceBreakdown: score.breakdown
+        });
+      });
+
+      matches = applyHints(matches, team, preferredPositions);
+
+      return matches
+        .sort((a, b) => b.fuzzyScore - a.fuzzyScore || b.confidence - a.confidence)
+        .slice(0, fuzzyLimit);
+    },
+
+    /**
+     * Resolve a team defense from team names, cities, mascots, nicknames or
+     * abbreviations ("Bills D/ST", "Buffalo Defense", "SF DST", "49ers").
+     * Sleeper keys DEF entries by team code and names them "<City> <Mascot>".
+     * 
+     * @param {string} searchName - Name to search for
+     * @param {Object} players - Player database object
+     * @param {Object} [options={}] - Search options (team hint is honored for shared cities)
+     * @returns {Array} Array of matching DEF entries with confidence scores (empty if not a team)
+     */
+    findDefenseMatches: function(searchName, players, options = {}) {
+      const teamText = String(searchName || '').replace(defenseWordPattern, ' ').replace(/\s+/g, ' ').trim();
+      const codes = teams.resolve(teamText);
+      const matches = [];
+
+      for (const code of codes) {
+        const player = players[code] || getPlayerIndex(players).defenses.get(code);
+        if (!player) continue;
+
+        const fullName = teams.displayName(code);
+        // A unique team resolution is as good as typing the full name; shared cities split it
+        const score = this.scoreMatch(teamText, fullName, player, 'defense', 1 / codes.length);
+        matches.push({
+          ...player,
+          playerId: player.player_id || code,
+          fullName,
+          full_name: player.full_name || fullName,
+          matchType: 'defense',
+          confidence: score.confidence,
+          confidenceBreakdown: score.breakdown
+        });
+      }
+
+      return applyHints(matches, options.team, null);
+    },
+
+    /**
+     * Check whether an input names a team defense rather than a player.
+     * 
+     * @param {string} searchName - Name to check
+     * @param {Array} [preferredPositions=null] - Position hints from the input line
+     * @returns {boolean} True if the input carries a DEF/DST label or a DEF position hint
+     */
+    isDefenseSearch: function(searchName, preferredPositions = null) {
+      defenseWordPattern.lastIndex = 0;
+      return (preferredPositions || []).includes('DEF') || defenseWordPattern.test(searchName);
+    },
+
+    /**
+     * Score a match and explain the score. The match type sets the base
+     * (exact > nickname > name pattern > fuzzy), name closeness adds up to 0.2,
+     * and Sleeper relevance signals (position, status, team, search_rank,
+     * depth_chart_order, years_exp) adjust it.
      * 
      * @param {string} searchName - Original search name
      * @param {string} playerName - Matched player's full name
      * @param {Object} playerData - Player data object
-     * @returns {number} Confidence score between 0 and 1
+     * @param {string} [matchType='pattern'] - How the player matched (exact, alias, pattern, defense, fuzzy)
+     * @param {number} [closeness=null] - Name closeness from 0 to 1 if already known (fuzzy score,
+     *   shared-city defenses); computed from the names otherwise
+     * @returns {Object} { confidence, breakdown } where breakdown lists { reason, points } per factor
      */
-    calculateConfidence: function(searchName, playerName, playerData) {
-      let confidence = 0.5; // Base confidence
-      
-      // Exact match gets highest score
-      if (searchName.toLowerCase() === playerName.toLowerCase()) {
-        confidence = 1.0;
-      }
-      
-      // Active players get bonus
-      if (playerData.status === 'Active') {
-        confidence += 0.2;
-      }
-      
-      // Players with teams get bonus
-      if (playerData.team) {
-        confidence += 0.1;
-      }
-      
-      // Fantasy relevant positions get bonus
-      const fantasyPositions = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
-      if (fantasyPositions.includes(playerData.position)) {
-        confidence += 0.15;
+    scoreMatch: function(searchName, playerName, playerData, matchType = 'pattern', closeness = null) {
+      const base = matchTypeScores[matchType] || matchTypeScores.pattern;
+
+      // Nicknames are deliberate mappings, so they count as the real name
+      if (closeness === null) {
+        closeness = matchType === 'alias' ? 1 : nameCloseness(searchName, playerName);
       }
-      
-      return Math.min(confidence, 1.0);
+
+      const breakdown = [
+        { reason: base.reason, points: base.points },
+        { reason: `name closeness ${Math.round(closeness * 100)}%`, points: closeness * closenessWeight },
+        ...relevanceFactors(playerData)
+      ];
+
+      const total = breakdown.reduce((sum, factor) => sum + factor.points, 0);
+      return {
+        confidence: Math.max(0, Math.min(total, 1.0)),
+        breakdown
+      };
+    },
+
+    /**
+     * Calculate confidence score for a name match. See scoreMatch for the factors.
+     * 
+     * @param {string} searchName - Original search name
+     * @param {string} playerName - Matched player's full name
+     * @param {Object} playerData - Player data object
+     * @param {string} [matchType='pattern'] - How the player matched
+     * @returns {number} Confidence score between 0 and 1
+     */
+    calculateConfidence: function(searchName, playerName, playerData, matchType = 'pattern') {
+      return this.scoreMatch(searchName, playerName, playerData, matchType).confidence;
     },
 
     /**
@@ -250,8 +879,17 @@ const NameMatcher = (function() {
      * @returns {Object|null} Best match object or null if no matches found
      */
     findBestMatch: function(searchName, players, options = {}) {
-      const matches = this.findPlayerMatches(searchName, players, options);
-      
+      return this.selectBestMatch(this.findPlayerMatches(searchName, players, options));
+    },
+
+    /**
+     * Disambiguation logic behind findBestMatch, for callers that already have
+     * the sorted matches from findPlayerMatches.
+     * 
+     * @param {Array} matches - Matches sorted by findPlayerMatches
+     * @returns {Object|null} Best match (flagged needsDisambiguation with alternatives when unclear) or null
+     */
+    selectBestMatch: function(matches) {
       if (matches.length === 0) {
         return null;
       }
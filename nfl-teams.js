@@ -0,0 +1,168 @@
+/**
+ * NFL Teams
+ *
+ * Team reference data keyed by Sleeper team code, used for:
+ * - Normalizing alternate abbreviations in cheatsheets (JAC -> JAX)
+ * - Resolving team defenses from names, cities, mascots and nicknames
+ * - Recognizing team defense rows in the draft room DOM
+ */
+const NflTeams = (function() {
+  // abbreviations: alternate codes seen in rankings exports
+  // nicknames: informal names people type ("Niners", "Bucs")
+  const teams = [
+    { code: 'ARI', city: 'Arizona', mascot: 'Cardinals', abbreviations: ['ARZ'], nicknames: ['Cards'] },
+    { code: 'ATL', city: 'Atlanta', mascot: 'Falcons', abbreviations: [], nicknames: [] },
+    { code: 'BAL', city: 'Baltimore', mascot: 'Ravens', abbreviations: ['BLT'], nicknames: [] },
+    { code: 'BUF', city: 'Buffalo', mascot: 'Bills', abbreviations: [], nicknames: [] },
+    { code: 'CAR', city: 'Carolina', mascot: 'Panthers', abbreviations: [], nicknames: [] },
+    { code: 'CHI', city: 'Chicago', mascot: 'Bears', abbreviations: [], nicknames: [] },
+    { code: 'CIN', city: 'Cincinnati', mascot: 'Bengals', abbreviations: [], nicknames: [] },
+    { code: 'CLE', city: 'Cleveland', mascot: 'Browns', abbreviations: ['CLV'], nicknames: [] },
+    { code: 'DAL', city: 'Dallas', mascot: 'Cowboys', abbreviations: [], nicknames: [] },
+    { code: 'DEN', city: 'Denver', mascot: 'Broncos', abbreviations: [], nicknames: [] },
+    { code: 'DET', city: 'Detroit', mascot: 'Lions', abbreviations: [], nicknames: [] },
+    { code: 'GB', city: 'Green Bay', mascot: 'Packers', abbreviations: ['GBP', 'GNB'], nicknames: ['Pack'] },
+    { code: 'HOU', city: 'Houston', mascot: 'Texans', abbreviations: ['HST'], nicknames: [] },
+    { code: 'IND', city: 'Indianapolis', mascot: 'Colts', abbreviations: [], nicknames: ['Indy'] },
+    { code: 'JAX', city: 'Jacksonville', mascot: 'Jaguars', abbreviations: ['JAC'], nicknames: ['Jags'] },
+    { code: 'KC', city: 'Kansas City', mascot: 'Chiefs', abbreviations: ['KCC'], nicknames: [] },
+    { code: 'LAC', city: 'Los Angeles', mascot: 'Chargers', abbreviations: ['SD'], nicknames: ['San Diego', 'Bolts'] },
+    { code: 'LAR', city: 'Los Angeles', mascot: 'Rams', abbreviations: ['LA', 'STL'], nicknames: ['St. Louis'] },
+    { code: 'LV', city: 'Las Vegas', mascot: 'Raiders', abbreviations: ['LVR', 'OAK'], nicknames: ['Oakland', 'Vegas'] },
+    { code: 'MIA', city: 'Miami', mascot: 'Dolphins', abbreviations: [], nicknames: ['Fins'] },
+    { code: 'MIN', city: 'Minnesota', mascot: 'Vikings', abbreviations: [], nicknames: ['Vikes'] },
+    { code: 'NE', city: 'New England', mascot: 'Patriots', abbreviations: ['NEP'], nicknames: ['Pats'] },
+    { code: 'NO', city: 'New Orleans', mascot: 'Saints', abbreviations: ['NOS', 'NOR'], nicknames: [] },
+    { code: 'NYG', city: 'New York', mascot: 'Giants', abbreviations: [], nicknames: ['NY Giants', 'G-Men'] },
+    { code: 'NYJ', city: 'New York', mascot: 'Jets', abbreviations: [], nicknames: ['NY Jets'] },
+    { code: 'PHI', city: 'Philadelphia', mascot: 'Eagles', abbreviations: [], nicknames: ['Philly'] },
+    { code: 'PIT', city: 'Pittsburgh', mascot: 'Steelers', abbreviations: [], nicknames: [] },
+    { code: 'SEA', city: 'Seattle', mascot: 'Seahawks', abbreviations: [], nicknames: [] },
+    { code: 'SF', city: 'San Francisco', mascot: '49ers', abbreviations: ['SFO'], nicknames: ['Niners', 'Forty Niners'] },
+    { code: 'TB', city: 'Tampa Bay', mascot: 'Buccaneers', abbreviations: ['TBB'], nicknames: ['Bucs', 'Tampa'] },
+    { code: 'TEN', city: 'Tennessee', mascot: 'Titans', abbreviations: [], nicknames: [] },
+    { code: 'WAS', city: 'Washington', mascot: 'Commanders', abbreviations: ['WSH'], nicknames: [] }
+  ];
+
+  const byCode = {};
+  const abbreviationLookup = {};
+  const nameLookup = {};
+
+  const foldKey = function(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  };
+
+  const addName = function(name, code) {
+    const key = foldKey(name);
+    if (!key) return;
+    nameLookup[key] = nameLookup[key] || [];
+    if (!nameLookup[key].includes(code)) {
+      nameLookup[key].push(code);
+    }
+  };
+
+  for (const team of teams) {
+    byCode[team.code] = team;
+    abbreviationLookup[team.code] = team.code;
+    team.abbreviations.forEach(abbr => { abbreviationLookup[abbr] = team.code; });
+
+    [team.code, ...team.abbreviations, team.city, team.mascot,
+      `${team.city} ${team.mascot}`, ...team.nicknames].forEach(name => addName(name, team.code));
+  }
+
+  // Mascots are unambiguous and distinctive enough to spot inside row text
+  const mascotPattern = new RegExp(`\\b(${teams.map(t => t.mascot).join('|')})\\b`, 'i');
+
+  return {
+    /**
+     * All teams with code, city, mascot, abbreviations and nicknames.
+     */
+    teams,
+
+    /**
+     * Look up a team by Sleeper team code.
+     *
+     * @param {string} code - Sleeper team code (e.g. 'BUF')
+     * @returns {Object|null} Team object or null if unknown
+     */
+    find: function(code) {
+      return byCode[code] || null;
+    },
+
+    /**
+     * Check whether a token is an exact (uppercase) team code or alternate abbreviation.
+     * Case-sensitive on purpose so name parts like "Ne" or "Kc" are not treated as teams.
+     *
+     * @param {string} token - Token to check
+     * @returns {boolean} True if the token is a team abbreviation
+     */
+    isAbbreviation: function(token) {
+      return Object.prototype.hasOwnProperty.call(abbreviationLookup, token);
+    },
+
+    /**
+     * Normalize a team abbreviation to Sleeper's team code (JAC -> JAX, WSH -> WAS).
+     *
+     * @param {string} code - Team abbreviation, any case
+     * @returns {string|null} Sleeper team code, the uppercased input if unknown, or null if blank/FA
+     */
+    normalizeCode: function(code) {
+      const upper = String(code || '').trim().toUpperCase();
+      if (!upper || upper === 'FA' || upper === '-') return null;
+      return abbreviationLookup[upper] || upper;
+    },
+
+    /**
+     * Resolve free text that names a team ("Bills", "Buffalo", "SF", "Niners").
+     * Shared cities resolve to every team in them ("New York" -> NYG, NYJ).
+     *
+     * @param {string} text - Team name, city, mascot, nickname or abbreviation
+     * @returns {Array} Matching Sleeper team codes (empty if none)
+     */
+    resolve: function(text) {
+      return [...(nameLookup[foldKey(text)] || [])];
+    },
+
+    /**
+     * Find a team mentioned in longer text such as a draft room row.
+     * Looks for a mascot first, then for a standalone team code next to a DEF/DST label.
+     *
+     * @param {string} text - Text to scan
+     * @returns {string|null} Sleeper team code, or null if no team is mentioned
+     */
+    findInText: function(text) {
+      const value = String(text || '');
+      const mascot = value.match(mascotPattern);
+      if (mascot) {
+        return this.resolve(mascot[1])[0] || null;
+      }
+
+      if (/\b(DEF|DST|D\/ST)\b/.test(value)) {
+        const token = value.split(/[^A-Z]+/).find(part => this.isAbbreviation(part));
+        if (token) return abbreviationLookup[token];
+      }
+
+      return null;
+    },
+
+    /**
+     * Full display name for a team, e.g. "Buffalo Bills".
+     *
+     * @param {string} code - Sleeper team code
+     * @returns {string|null} City and mascot, or null if unknown
+     */
+    displayName: function(code) {
+      const team = byCode[code];
+      return team ? `${team.city} ${team.mascot}` : null;
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = NflTeams;
+}
+
+if (typeof window !== 'undefined') {
+  window.NflTeams = NflTeams;
+}
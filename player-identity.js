@@ -0,0 +1,197 @@
+/**
+ * Player Identity
+ *
+ * Maps draft-room rows (player list, queue) to Sleeper player_ids so the
+ * validate, queue and clear flows compare ids instead of visible text.
+ * Sources, most reliable first:
+ * - data attributes (data-player-id, data-player_id)
+ * - React props on the row or its ancestors (player_id, playerId, player.player_id)
+ * - sleepercdn headshot / team logo URLs in img src or background-image
+ * - the row's name + team + position, matched against the player database
+ */
+const PlayerIdentity = (function() {
+  const teams = typeof NflTeams !== 'undefined' ? NflTeams : require('./nfl-teams.js');
+  const matcher = typeof NameMatcher !== 'undefined' ? NameMatcher : require('./name-matching.js');
+
+  const dataAttributes = ['data-player-id', 'data-player_id', 'data-playerid'];
+
+  // https://sleepercdn.com/content/nfl/players/thumb/4984.jpg, .../players/4984.jpg
+  const headshotPattern = /sleepercdn\.com\/content\/nfl\/players\/(?:thumb\/)?([A-Za-z0-9]+)\.(?:jpg|png|webp)/i;
+  // https://sleepercdn.com/images/team_logos/nfl/buf.png (team defenses)
+  const teamLogoPattern = /sleepercdn\.com\/images\/team_logos\/nfl\/([a-z]+)\.(?:jpg|png|svg|webp)/i;
+
+  const positionPattern = /^(QB|RB|WR|TE|K|DEF|DST|D\/ST)$/;
+  const uiWords = /\b(REMOVE|ADD|QUEUE|DRAFT|WATCH)\b/gi;
+
+  // How far up the React tree to look for player props before giving up
+  const maxFiberDepth = 8;
+
+  const idOf = function(player) {
+    if (!player) return null;
+    const id = player.playerId || player.player_id;
+    return id ? String(id) : null;
+  };
+
+  const fromDataAttributes = function(element) {
+    for (const attribute of dataAttributes) {
+      const holder = element.hasAttribute(attribute) ? element : element.querySelector(`[${attribute}]`);
+      const value = holder ? holder.getAttribute(attribute) : null;
+      if (value) return value;
+    }
+    return null;
+  };
+
+  const idFromProps = function(props) {
+    if (!props || typeof props !== 'object') return null;
+    const id = props.player_id || props.playerId || idOf(props.player);
+    return id && (typeof id === 'string' || typeof id === 'number') ? String(id) : null;
+  };
+
+  const fromReact = function(element) {
+    const keys = Object.keys(element);
+
+    const propsKey = keys.find(key => key.startsWith('__reactProps$'));
+    const fromProps = propsKey ? idFromProps(element[propsKey]) : null;
+    if (fromProps) return fromProps;
+
+    const fiberKey = keys.find(key => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'));
+    let fiber = fiberKey ? element[fiberKey] : null;
+    for (let depth = 0; fiber && depth < maxFiberDepth; depth++) {
+      const id = idFromProps(fiber.memoizedProps);
+      if (id) return id;
+      fiber = fiber.return;
+    }
+    return null;
+  };
+
+  const fromImages = function(element) {
+    const sources = [];
+    element.querySelectorAll('img').forEach(img => sources.push(img.getAttribute('src') || ''));
+    element.querySelectorAll('[style*="background-image"]').forEach(node => sources.push(node.getAttribute('style') || ''));
+
+    for (const source of sources) {
+      const headshot = source.match(headshotPattern);
+      if (headshot) return headshot[1];
+
+      const logo = source.match(teamLogoPattern);
+      if (logo) return teams.normalizeCode(logo[1]);
+    }
+    return null;
+  };
+
+  // Text of the row's innermost elements, so "Josh Allen" and "QB" stay separate
+  // instead of running together as they do in textContent
+  const leafTexts = function(element) {
+    const leaves = Array.from(element.querySelectorAll('*'))
+      .filter(node => node.children.length === 0)
+      .map(node => (node.textContent || '').replace(uiWords, ' ').replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    return leaves.length > 0 ? leaves : [(element.textContent || '').replace(uiWords, ' ').replace(/\s+/g, ' ').trim()];
+  };
+
+  return {
+    /**
+     * Sleeper player_id of a player or match object (NameMatcher's playerId or Sleeper's player_id).
+     *
+     * @param {Object} player - Player object
+     * @returns {string|null} Player id, or null if the object has none
+     */
+    idOf,
+
+    /**
+     * Read the name, team and position shown in a draft-room row.
+     *
+     * @param {HTMLElement} element - Player or queue row
+     * @returns {Object} { name, team, position } with nulls for anything not shown
+     */
+    readRow: function(element) {
+      const leaves = leafTexts(element);
+
+      // The name is the first piece of text with two or more words, no digits and no position
+      const name = leaves.find(text => {
+        const words = text.split(' ');
+        return words.length >= 2 && !/\d/.test(text) &&
+          !words.some(word => positionPattern.test(word)) &&
+          !words.every(word => teams.isAbbreviation(word));
+      }) || null;
+
+      // Team and position come from the rest of the row, so "KC Concepcion" doesn't read as a KC row
+      const tokens = leaves.filter(text => text !== name).join(' ').split(/[\s\-•·(),]+/).filter(Boolean);
+      const positionToken = tokens.find(token => positionPattern.test(token));
+      const teamToken = tokens.find(token => teams.isAbbreviation(token));
+
+      return {
+        name,
+        team: teamToken ? teams.normalizeCode(teamToken) : null,
+        position: positionToken ? positionToken.replace(/^(DST|D\/ST)$/, 'DEF') : null
+      };
+    },
+
+    /**
+     * Resolve a draft-room row to a Sleeper player_id.
+     *
+     * @param {HTMLElement} element - Player or queue row
+     * @param {Object} [players=null] - Player database, used for the name + team + position fallback
+     * @returns {Object|null} { playerId, source } where source is 'data', 'react', 'image' or 'text'; null if unknown
+     */
+    resolve: function(element, players = null) {
+      if (!element) return null;
+
+      const fromData = fromDataAttributes(element);
+      if (fromData) return { playerId: fromData, source: 'data' };
+
+      const fromProps = fromReact(element);
+      if (fromProps) return { playerId: fromProps, source: 'react' };
+
+      const fromImage = fromImages(element);
+      if (fromImage) return { playerId: fromImage, source: 'image' };
+
+      const fromText = this.resolveFromText(element, players);
+      return fromText ? { playerId: fromText, source: 'text' } : null;
+    },
+
+    /**
+     * Fallback: match the row's name against the player database, requiring
+     * the row's team and position. Returns null rather than guess when more
+     * than one player still fits.
+     *
+     * @param {HTMLElement} element - Player or queue row
+     * @param {Object} players - Player database object
+     * @returns {string|null} Player id, or null if the row can't be pinned to one player
+     */
+    resolveFromText: function(element, players) {
+      if (!players) return null;
+
+      const row = this.readRow(element);
+
+      // Team defenses show the team (mascot, or code next to a DEF label) instead of a name;
+      // Sleeper keys DEF entries by team code
+      if (row.position === 'DEF') {
+        return teams.findInText((element.textContent || '').replace(/\s+/g, ' ')) || row.team;
+      }
+      if (!row.name) return null;
+
+      const matches = matcher.findPlayerMatches(row.name, players, {
+        requireActive: false,
+        team: row.team,
+        requireTeam: !!row.team,
+        preferredPositions: row.position ? [row.position] : null,
+        requirePosition: !!row.position,
+        fuzzy: false
+      });
+
+      const exact = matches.filter(match => match.matchType === 'exact');
+      const candidates = exact.length > 0 ? exact : matches;
+      return candidates.length === 1 ? idOf(candidates[0]) : null;
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = PlayerIdentity;
+}
+
+if (typeof window !== 'undefined') {
+  window.PlayerIdentity = PlayerIdentity;
+}
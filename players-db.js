@@ -0,0 +1,123 @@
+/**
+ * Players DB
+ *
+ * Persists the full Sleeper players payload in IndexedDB so page loads can
+ * start from the last download instead of fetching several megabytes again.
+ * One record per dataset: { key, data, timestamp, count }.
+ * Works anywhere IndexedDB exists (page or service worker); every call
+ * resolves to null/false instead of throwing when it doesn't.
+ */
+const PlayersDB = (function() {
+  const dbName = 'sleeper-helper';
+  const dbVersion = 1;
+  const storeName = 'players';
+
+  let dbPromise = null;
+
+  const isAvailable = function() {
+    return typeof indexedDB !== 'undefined';
+  };
+
+  const open = function() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, dbVersion);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(storeName)) {
+            request.result.createObjectStore(storeName, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+      }).catch(error => {
+        // Let the next call try again
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async function(mode, operation) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  };
+
+  return {
+    /**
+     * Check whether IndexedDB exists in this context.
+     *
+     * @returns {boolean} True if datasets can be stored
+     */
+    isAvailable,
+
+    /**
+     * Load a stored dataset.
+     *
+     * @param {string} [key='nfl'] - Dataset key
+     * @returns {Promise<Object|null>} { data, timestamp, count } or null if nothing is stored
+     */
+    load: async function(key = 'nfl') {
+      if (!isAvailable()) return null;
+      try {
+        const record = await run('readonly', store => store.get(key));
+        return record && record.data ? record : null;
+      } catch (error) {
+        console.warn('⚠️ Could not read players from IndexedDB:', error.message);
+        return null;
+      }
+    },
+
+    /**
+     * Store a dataset, replacing any earlier copy.
+     *
+     * @param {Object} data - Players object keyed by player_id
+     * @param {number} [timestamp=Date.now()] - When the data was downloaded
+     * @param {string} [key='nfl'] - Dataset key
+     * @returns {Promise<boolean>} True if the data was stored
+     */
+    save: async function(data, timestamp = Date.now(), key = 'nfl') {
+      if (!isAvailable()) return false;
+      try {
+        await run('readwrite', store => store.put({ key, data, timestamp, count: Object.keys(data).length }));
+        return true;
+      } catch (error) {
+        console.warn('⚠️ Could not save players to IndexedDB:', error.message);
+        return false;
+      }
+    },
+
+    /**
+     * Remove a stored dataset.
+     *
+     * @param {string} [key='nfl'] - Dataset key
+     * @returns {Promise<boolean>} True if the data was removed
+     */
+    clear: async function(key = 'nfl') {
+      if (!isAvailable()) return false;
+      try {
+        await run('readwrite', store => store.delete(key));
+        return true;
+      } catch (error) {
+        console.warn('⚠️ Could not clear players from IndexedDB:', error.message);
+        return false;
+      }
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = PlayersDB;
+}
+
+if (typeof window !== 'undefined') {
+  window.PlayersDB = PlayersDB;
+}
@@ -1,9 +1,83 @@
+/**
+ * Error raised by SleeperAPI requests, classified so the interface can explain
+ * what went wrong and whether trying again may help.
+ * 
+ * Types: 'offline' (no network), 'timeout' (no answer in time), 'rate-limited'
+ * (HTTP 429), 'server' (HTTP 5xx), 'parse' (response wasn't valid JSON) and
+ * 'request' (any other HTTP error, e.g. 404).
+ * 
+ * @class SleeperAPIError
+ * @extends Error
+ */
+class SleeperAPIError extends Error {
+  /**
+   * @param {string} type - Error type (see class description)
+   * @param {string} message - Technical message for logs
+   * @param {Object} [details={}] - Extra details
+   * @param {number} [details.status] - HTTP status, when there was a response
+   * @param {string} [details.endpoint] - Endpoint that failed
+   * @param {number} [details.retryAfter] - Milliseconds the server asked us to wait (429)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(type, message, { status = null, endpoint = null, retryAfter = null, cause = null } = {}) {
+    super(message);
+    this.name = 'SleeperAPIError';
+    this.type = type;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether the request layer retries this error with backoff.
+   * Parse and request errors won't fix themselves by asking again right away.
+   * 
+   * @returns {boolean} True for offline, timeout, rate-limited and server errors
+   */
+  get retryable() {
+    return ['offline', 'timeout', 'rate-limited', 'server'].includes(this.type);
+  }
+
+  /**
+   * Message to show the user for this error.
+   * 
+   * @returns {string} User-facing message
+   */
+  get userMessage() {
+    return SleeperAPIError.describe(this);
+  }
+
+  /**
+   * User-facing message for any error, typed or not.
+   * 
+   * @param {Error} error - Error to describe
+   * @static
+   * @returns {string} User-facing message
+   */
+  static describe(error) {
+    const messages = {
+      offline: 'Couldn\'t reach Sleeper. Check your connection and try again.',
+      timeout: 'Sleeper took too long to answer. The connection may be slow; try again.',
+      'rate-limited': 'Sleeper is limiting requests right now. Wait a few seconds and try again.',
+      server: 'Sleeper\'s servers are having trouble. Try again in a moment.',
+      parse: 'Sleeper sent back data that could not be read. Try again; if it keeps happening the API may have changed.',
+      request: 'Sleeper rejected the request. Try again, or reload the page.'
+    };
+    if (error && messages[error.type]) return messages[error.type];
+    return `Something went wrong talking to Sleeper${error && error.message ? ` (${error.message})` : ''}. Try again.`;
+  }
+}
+
 /**
  * Sleeper API Client
  * 
  * Handles all interactions with the Sleeper API including:
- * - Player data fetching and caching
- * - NFL state information
+ * - Player data fetching and caching (IndexedDB via PlayersDB, refreshed in the background)
+ * - Draft metadata: draft settings, picks, traded picks and the user's slot
+ * - League context: scoring and roster settings, rosters and owners
+ * - NFL state information: season, week and season type from /state/nfl
+ * - Trending adds and drops across Sleeper leagues
  * - Rate limiting and error handling
  * 
  * @class SleeperAPI
@@ -13,19 +87,58 @@ class SleeperAPI {
    * Creates an instance of SleeperAPI.
    * Initializes cache, rate limiting, and API configuration.
    * 
+   * @param {Object} [options={}] - Where requests go (see configure)
    * @constructor
    */
-  constructor() {
-    this.baseURL = 'https://api.sleeper.app/v1';
+  constructor(options = {}) {
     this.cache = new Map();
     this.lastFetch = null;
     this.rateLimitDelay = 100; // ms between requests
+    this.requestTimeout = 15 * 1000; // per attempt; the players payload gets longer (see fetchPlayers)
+    this.maxRetries = 3; // retries after the first attempt, for offline/timeout/429/5xx
+    this.retryBaseDelay = 500; // ms, doubled on each retry and jittered
     this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
+    this.refreshing = null; // in-flight background refresh
+    this.downloading = null; // in-flight foreground download
+    this.refreshListeners = [];
+    this.draftCacheExpiry = 5 * 60 * 1000; // draft settings and traded picks change rarely
+    this.picksCacheExpiry = 15 * 1000; // picks change every few seconds during a live draft
+    this.leagueCacheExpiry = 30 * 60 * 1000; // league settings, rosters and owners
+    this.stateCacheExpiry = 60 * 60 * 1000; // week and season type change at most daily
+    this.trendingCacheExpiry = 15 * 60 * 1000; // trending counts move quickly in late summer
+    this.nflState = null; // last /state/nfl response
+    this.lastPlayersError = null; // why the last players download failed, if it did
+    this.rateLimitSlot = Promise.resolve(); // requests take turns, however many callers (tabs) there are
+    this.inflight = new Map(); // cacheKey -> pending request, so simultaneous callers share one
+    this.configure(options);
+  }
+
+  /**
+   * Choose where requests go. The transport has fetch's contract: it gets the
+   * full URL and { signal }, and resolves to a response with ok, status,
+   * statusText, headers.get() and json(). Switching drops cached responses,
+   * since they came from the previous source.
+   * 
+   * @param {Object} [options={}] - Request source
+   * @param {string|null} [options.baseURL=null] - API base URL, defaults to SleeperAPI.defaultBaseURL
+   * @param {Function|null} [options.transport=null] - Request function, defaults to fetch
+   * @param {boolean} [options.persist=true] - Whether downloaded players are saved to (and loaded from) IndexedDB
+   */
+  configure({ baseURL = null, transport = null, persist = true } = {}) {
+    this.baseURL = (baseURL || SleeperAPI.defaultBaseURL).replace(/\/+$/, '');
+    this.transport = transport || ((url, init) => fetch(url, init));
+    this.persist = persist;
+
+    this.cache.clear();
+    this.nflState = null;
+    this.lastPlayersError = null;
   }
 
   /**
    * Fetch all NFL players with caching and storage management.
-   * Attempts to use cached data first, then fetches fresh data if needed.
+   * Uses the in-memory copy first, then the IndexedDB copy from an earlier page
+   * load (returned right away, refreshed in the background when older than
+   * cacheExpiry), and only downloads when neither exists.
    * 
    * @param {boolean} [forceRefresh=false] - Whether to bypass cache and fetch fresh data
    * @async
@@ -40,45 +153,63 @@ class SleeperAPI {
       return this.cache.get(cacheKey).data;
     }
 
+    // Stored copy: use it now, refresh behind it if it's past the refresh policy
+    if (!forceRefresh) {
+      const stored = this.cache.get(cacheKey) || await this.loadStoredPlayers();
+      if (stored) {
+        this.cache.set(cacheKey, stored);
+        if (!this.isCacheValid(cacheKey)) {
+          console.log('🕒 Stored player data is stale, refreshing in the background');
+          this.refreshInBackground();
+        }
+        return stored.data;
+      }
+    }
+
+    // Callers loading at the same time (several tabs) share one download
+    if (!this.downloading) {
+      this.downloading = this.fetchPlayers().finally(() => {
+        this.downloading = null;
+      });
+    }
+    return await this.downloading;
+  }
+
+  /**
+   * Download the players payload and store it in memory and IndexedDB.
+   * 
+   * @async
+   * @returns {Promise<Object>} Object containing all NFL players indexed by player ID
+   */
+  async fetchPlayers() {
+    const cacheKey = 'nfl_players';
+
     console.log('🔍 Fetching fresh player data from Sleeper API...');
     
     try {
-      const response = await this.makeRequest('/players/nfl');
+      // Several megabytes; give slow connections time to finish
+      const response = await this.makeRequest('/players/nfl', { timeout: 60 * 1000 });
+      const timestamp = Date.now();
       
       // Cache the response
       this.cache.set(cacheKey, {
         data: response,
-        timestamp: Date.now()
+        timestamp,
+        source: 'network'
       });
 
-      // Only save metadata to storage (not the full dataset - too large for Chrome storage)
-      try {
-        const metadata = {
-          count: Object.keys(response).length,
-          timestamp: Date.now(),
-          success: true
-        };
-
-        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-          await chrome.storage.local.set({
-            sleeper_players_metadata: metadata
-          });
-          console.log(`💾 Saved metadata to Chrome storage (${metadata.count} players)`);
-        } else {
-          // Fallback to localStorage
-          localStorage.setItem('sleeper_players_metadata', JSON.stringify(metadata));
-          console.log(`💾 Saved metadata to localStorage (${metadata.count} players)`);
-        }
-      } catch (error) {
-        console.warn('⚠️ Could not save metadata:', error.message);
-        // Continue without storage - not critical
+      // Players from fixtures or a stand-in server must not replace the saved copy
+      if (this.persist) {
+        await this.persistPlayers(response, timestamp);
       }
 
       console.log(`✅ Fetched ${Object.keys(response).length} players`);
+      this.lastPlayersError = null;
       return response;
       
     } catch (error) {
       console.error('❌ Error fetching players:', error);
+      this.lastPlayersError = error;
       
       // Try to use cached data as fallback
       const cached = this.cache.get(cacheKey);
@@ -92,32 +223,448 @@ class SleeperAPI {
   }
 
   /**
-   * Make HTTP request with rate limiting and error handling.
-   * Enforces delay between requests to respect API limits.
+   * Save a downloaded players payload for later page loads.
+   * 
+   * @param {Object} response - Players object keyed by player_id
+   * @param {number} timestamp - When it was downloaded
+   * @async
+   * @returns {Promise<void>}
+   */
+  async persistPlayers(response, timestamp) {
+    // Full dataset goes to IndexedDB; Chrome storage is too small for it
+    if (typeof PlayersDB !== 'undefined' && await PlayersDB.save(response, timestamp)) {
+      console.log(`💾 Saved ${Object.keys(response).length} players to IndexedDB`);
+    }
+
+    // Only save metadata to storage (not the full dataset - too large for Chrome storage)
+    try {
+      const metadata = {
+        count: Object.keys(response).length,
+        timestamp,
+        success: true
+      };
+
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+        await chrome.storage.local.set({
+          sleeper_players_metadata: metadata
+        });
+        console.log(`💾 Saved metadata to Chrome storage (${metadata.count} players)`);
+      } else {
+        // Fallback to localStorage
+        localStorage.setItem('sleeper_players_metadata', JSON.stringify(metadata));
+        console.log(`💾 Saved metadata to localStorage (${metadata.count} players)`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not save metadata:', error.message);
+      // Continue without storage - not critical
+    }
+  }
+
+  /**
+   * Load the players payload saved by an earlier page load.
+   * 
+   * @async
+   * @returns {Promise<Object|null>} Cache entry { data, timestamp, source } or null if nothing is stored
+   */
+  async loadStoredPlayers() {
+    if (!this.persist || typeof PlayersDB === 'undefined') return null;
+
+    const record = await PlayersDB.load();
+    if (!record) return null;
+
+    console.log(`📦 Loaded ${record.count} players from IndexedDB`);
+    return { data: record.data, timestamp: record.timestamp, source: 'indexeddb' };
+  }
+
+  /**
+   * Download fresh players without blocking the caller. Concurrent calls share
+   * one download; listeners registered with onPlayersRefreshed get the new data.
+   * 
+   * @returns {Promise<Object|null>} Fresh players, or null if the download failed
+   */
+  refreshInBackground() {
+    if (!this.refreshing) {
+      const previous = this.cache.get('nfl_players');
+      this.refreshing = this.fetchPlayers()
+        .then(players => {
+          // fetchPlayers falls back to the old data when the download fails
+          if (previous && players === previous.data) return null;
+          this.refreshListeners.forEach(listener => listener(players));
+          return players;
+        })
+        .catch(error => {
+          console.warn('⚠️ Background player refresh failed:', error.message);
+          return null;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Register a callback for players downloaded by a background refresh.
+   * 
+   * @param {Function} listener - Called with the fresh players object
+   */
+  onPlayersRefreshed(listener) {
+    this.refreshListeners.push(listener);
+  }
+
+  /**
+   * Set how old the players payload may get before it is refreshed.
+   * 
+   * @param {number} hours - Maximum age in hours; 0 means refresh only when asked
+   */
+  setRefreshPolicy(hours) {
+    this.cacheExpiry = hours > 0 ? hours * 60 * 60 * 1000 : Infinity;
+  }
+
+  /**
+   * Describe the players payload currently in use, for the settings panel.
+   * 
+   * @returns {Object|null} { count, timestamp, age, source, stale, refreshing, predatesLeagueYear, lastError } or null if nothing is loaded
+   */
+  getPlayersCacheInfo() {
+    const cached = this.cache.get('nfl_players');
+    if (!cached) return null;
+
+    return {
+      count: Object.keys(cached.data).length,
+      timestamp: cached.timestamp,
+      age: Date.now() - cached.timestamp,
+      source: cached.source || 'network',
+      stale: !this.isCacheValid('nfl_players'),
+      refreshing: !!this.refreshing,
+      // Rosters, teams and rookies from last league year; only known once the NFL state is loaded
+      predatesLeagueYear: this.nflState ? cached.timestamp < SleeperAPI.leagueYearStart(this.nflState) : false,
+      // Set when the last download failed and the data in use is the older copy
+      lastError: this.lastPlayersError
+    };
+  }
+
+  /**
+   * Make HTTP request with rate limiting, a timeout per attempt and retries.
+   * Offline, timeout, rate-limited (429) and server (5xx) errors are retried
+   * up to maxRetries times with jittered exponential backoff.
    * 
    * @param {string} endpoint - API endpoint to request (without base URL)
+   * @param {Object} [options={}] - Request options
+   * @param {number} [options.timeout] - Timeout per attempt in ms, defaults to requestTimeout
    * @async
    * @returns {Promise<Object>} Parsed JSON response from the API
-   * @throws {Error} If HTTP request fails or returns non-200 status
+   * @throws {SleeperAPIError} If every attempt fails, or the error isn't worth retrying
    */
-  async makeRequest(endpoint) {
-    // Simple rate limiting
-    if (this.lastFetch && Date.now() - this.lastFetch < this.rateLimitDelay) {
-      await new Promise(resolve => 
-        setTimeout(resolve, this.rateLimitDelay - (Date.now() - this.lastFetch))
-      );
+  async makeRequest(endpoint, { timeout = this.requestTimeout } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestOnce(endpoint, timeout);
+      } catch (error) {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        if (!error.retryable || offline || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.retryDelay(attempt, error);
+        console.warn(`⚠️ ${endpoint} failed (${error.type}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
+  }
+
+  /**
+   * One rate-limited attempt at a request, with errors classified.
+   * 
+   * @param {string} endpoint - API endpoint to request (without base URL)
+   * @param {number} timeout - Timeout in ms
+   * @async
+   * @returns {Promise<Object>} Parsed JSON response from the API
+   * @throws {SleeperAPIError} Classified error
+   */
+  async requestOnce(endpoint, timeout) {
+    await this.waitForRateLimit();
 
     const url = this.baseURL + endpoint;
-    this.lastFetch = Date.now();
 
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // The timeout covers the body too, since the players payload is large
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      let response;
+      try {
+        response = await this.transport(url, { signal: controller.signal });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new SleeperAPIError('timeout', `No response from ${endpoint} after ${timeout}ms`, { endpoint, cause: error });
+        }
+        // fetch (and any transport following its contract) only rejects on network failures
+        throw new SleeperAPIError('offline', `Network error for ${endpoint}: ${error.message}`, { endpoint, cause: error });
+      }
+
+      if (!response.ok) {
+        const details = { status: response.status, endpoint };
+        const message = `HTTP ${response.status}: ${response.statusText}`;
+        if (response.status === 429) {
+          const retryAfter = parseInt(response.headers && response.headers.get('Retry-After'), 10);
+          throw new SleeperAPIError('rate-limited', message, { ...details, retryAfter: retryAfter > 0 ? retryAfter * 1000 : null });
+        }
+        throw new SleeperAPIError(response.status >= 500 ? 'server' : 'request', message, details);
+      }
+
+      try {
+        return await response.json();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new SleeperAPIError('timeout', `Response from ${endpoint} didn't finish after ${timeout}ms`, { endpoint, cause: error });
+        }
+        throw new SleeperAPIError('parse', `Invalid JSON from ${endpoint}: ${error.message}`, { status: response.status, endpoint, cause: error });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait for this request's turn. Requests are queued so that concurrent
+   * callers (e.g. several tabs served by the background worker) still start
+   * at least rateLimitDelay apart.
+   * 
+   * @async
+   * @returns {Promise<void>}
+   */
+  waitForRateLimit() {
+    const turn = this.rateLimitSlot.then(async () => {
+      if (this.lastFetch && Date.now() - this.lastFetch < this.rateLimitDelay) {
+        await new Promise(resolve => 
+          setTimeout(resolve, this.rateLimitDelay - (Date.now() - this.lastFetch))
+        );
+      }
+      this.lastFetch = Date.now();
+    });
+    this.rateLimitSlot = turn;
+    return turn;
+  }
+
+  /**
+   * Backoff before a retry: retryBaseDelay doubled per attempt, with jitter
+   * so tabs that failed together don't retry together. A 429's Retry-After
+   * wins when it asks for longer.
+   * 
+   * @param {number} attempt - Attempt that just failed, starting at 0
+   * @param {SleeperAPIError} error - Error from that attempt
+   * @returns {number} Delay in ms
+   */
+  retryDelay(attempt, error) {
+    const backoff = this.retryBaseDelay * Math.pow(2, attempt);
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    return error.retryAfter ? Math.max(error.retryAfter, jittered) : jittered;
+  }
+
+  /**
+   * GET an endpoint through the in-memory cache.
+   * 
+   * @param {string} cacheKey - Cache key for the response
+   * @param {string} endpoint - API endpoint to request (without base URL)
+   * @param {number} expiry - How long the response stays fresh, in milliseconds
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async getCached(cacheKey, endpoint, expiry, forceRefresh = false) {
+    if (!forceRefresh && this.isCacheValid(cacheKey, expiry)) {
+      return this.cache.get(cacheKey).data;
+    }
+
+    // Another caller is already fetching this
+    if (this.inflight.has(cacheKey)) {
+      return await this.inflight.get(cacheKey);
+    }
+
+    const request = this.makeRequest(endpoint).then(data => {
+      this.cache.set(cacheKey, { data, timestamp: Date.now() });
+      return data;
+    });
+    this.inflight.set(cacheKey, request);
+    try {
+      return await request;
+    } finally {
+      this.inflight.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Fetch a draft: type, status, settings (rounds, teams, reversal_round),
+   * draft_order (user_id -> slot) and slot_to_roster_id.
+   * 
+   * @param {string} draftId - Sleeper draft id
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Object>} Draft object
+   */
+  async getDraft(draftId, forceRefresh = false) {
+    return await this.getCached(`draft_${draftId}`, `/draft/${draftId}`, this.draftCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Fetch every pick made so far in a draft.
+   * 
+   * @param {string} draftId - Sleeper draft id
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Array>} Picks with player_id, picked_by, roster_id, round, draft_slot and pick_no
+   */
+  async getDraftPicks(draftId, forceRefresh = false) {
+    return await this.getCached(`draft_picks_${draftId}`, `/draft/${draftId}/picks`, this.picksCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Fetch picks that changed hands before or during a draft.
+   * 
+   * @param {string} draftId - Sleeper draft id
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Array>} Traded picks with round, roster_id (original owner) and owner_id (current owner)
+   */
+  async getDraftTradedPicks(draftId, forceRefresh = false) {
+    return await this.getCached(`draft_traded_${draftId}`, `/draft/${draftId}/traded_picks`, this.draftCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Fetch a Sleeper user by username or user id.
+   * 
+   * @param {string} usernameOrId - Username or user id
+   * @async
+   * @returns {Promise<Object|null>} User with user_id, username and display_name, or null if unknown
+   */
+  async getUser(usernameOrId) {
+    const key = String(usernameOrId || '').trim().toLowerCase();
+    if (!key) return null;
+    return await this.getCached(`user_${key}`, `/user/${encodeURIComponent(key)}`, this.cacheExpiry);
+  }
+
+  /**
+   * Load a draft with its picks and traded picks and summarize it.
+   * 
+   * @param {string} draftId - Sleeper draft id
+   * @param {string|null} [userId=null] - The user's Sleeper user id, for their slot and picks
+   * @async
+   * @returns {Promise<Object>} Draft summary from SleeperAPI.summarizeDraft
+   */
+  async getDraftContext(draftId, userId = null) {
+    const [draft, picks, tradedPicks] = await Promise.all([
+      this.getDraft(draftId),
+      this.getDraftPicks(draftId),
+      this.getDraftTradedPicks(draftId)
+    ]);
+    return SleeperAPI.summarizeDraft(draft, picks || [], tradedPicks || [], userId);
+  }
+
+  /**
+   * Fetch the current NFL state: season, league_season, week, display_week
+   * and season_type ('pre', 'regular', 'post' or 'off').
+   * 
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Object>} NFL state object
+   */
+  async getNflState(forceRefresh = false) {
+    this.nflState = await this.getCached('nfl_state', '/state/nfl', this.stateCacheExpiry, forceRefresh);
+    return this.nflState;
+  }
+
+  /**
+   * Fetch the players most added or dropped across Sleeper leagues.
+   * 
+   * @param {string} [type='add'] - 'add' or 'drop'
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.lookbackHours=24] - How many hours back to count
+   * @param {number} [options.limit=25] - How many players to return
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Array>} [{ player_id, count }] ordered by count, highest first
+   * @throws {Error} If type is not 'add' or 'drop'
+   */
+  async getTrendingPlayers(type = 'add', { lookbackHours = 24, limit = 25 } = {}, forceRefresh = false) {
+    if (type !== 'add' && type !== 'drop') {
+      throw new Error(`Unknown trending type: ${type}`);
     }
 
-    return await response.json();
+    const query = `lookback_hours=${lookbackHours}&limit=${limit}`;
+    return await this.getCached(
+      `trending_${type}_${lookbackHours}_${limit}`,
+      `/players/nfl/trending/${type}?${query}`,
+      this.trendingCacheExpiry,
+      forceRefresh
+    );
+  }
+
+  /**
+   * Fetch a league: name, season, total_rosters, roster_positions,
+   * scoring_settings, settings and draft_id.
+   * 
+   * @param {string} leagueId - Sleeper league id
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Object>} League object
+   */
+  async getLeague(leagueId, forceRefresh = false) {
+    return await this.getCached(`league_${leagueId}`, `/league/${leagueId}`, this.leagueCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Fetch a league's rosters, including players already rostered (keepers, dynasty).
+   * 
+   * @param {string} leagueId - Sleeper league id
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Array>} Rosters with roster_id, owner_id, players and keepers
+   */
+  async getLeagueRosters(leagueId, forceRefresh = false) {
+    return await this.getCached(`league_rosters_${leagueId}`, `/league/${leagueId}/rosters`, this.leagueCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Fetch a league's members.
+   * 
+   * @param {string} leagueId - Sleeper league id
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Array>} Users with user_id, display_name and metadata.team_name
+   */
+  async getLeagueUsers(leagueId, forceRefresh = false) {
+    return await this.getCached(`league_users_${leagueId}`, `/league/${leagueId}/users`, this.leagueCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Fetch the NFL leagues a user belongs to for a season.
+   * 
+   * @param {string} userId - Sleeper user id
+   * @param {string|number} season - Season year, e.g. 2025
+   * @param {boolean} [forceRefresh=false] - Whether to bypass the cache
+   * @async
+   * @returns {Promise<Array>} League objects
+   */
+  async getUserLeagues(userId, season, forceRefresh = false) {
+    return await this.getCached(`user_leagues_${userId}_${season}`, `/user/${userId}/leagues/nfl/${season}`, this.leagueCacheExpiry, forceRefresh);
+  }
+
+  /**
+   * Load a league with its rosters and users and summarize it.
+   * 
+   * @param {string} leagueId - Sleeper league id
+   * @param {string|null} [userId=null] - The user's Sleeper user id, for their roster
+   * @async
+   * @returns {Promise<Object>} League summary from SleeperAPI.summarizeLeague
+   */
+  async getLeagueContext(leagueId, userId = null) {
+    const [league, rosters, users] = await Promise.all([
+      this.getLeague(leagueId),
+      this.getLeagueRosters(leagueId),
+      this.getLeagueUsers(leagueId)
+    ]);
+    return SleeperAPI.summarizeLeague(league, rosters || [], users || [], userId);
   }
 
   /**
@@ -145,17 +692,285 @@ class SleeperAPI {
    * @returns {Promise<Object>} Object containing all NFL players indexed by player ID
    */
   static async getAllPlayers(forceRefresh = false) {
+    return await SleeperAPI.getInstance().getPlayers(forceRefresh);
+  }
+
+  /**
+   * Read the draft id from a draft room URL
+   * (sleeper.com/draft/nfl/{draft_id}, sleeper.app/mock-draft/{draft_id}, .../draft/{draft_id}).
+   * 
+   * @param {string} [url] - URL to parse, defaults to the current page
+   * @static
+   * @returns {string|null} Draft id, or null if the URL isn't a draft room
+   */
+  static parseDraftId(url = typeof location !== 'undefined' ? location.href : '') {
+    const match = String(url).match(/\/(?:draft|mock-draft)\/(?:nfl\/)?(\d{6,})/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Season to use for league lookups. Sleeper moves league_season to the
+   * next year during the offseason, before season does.
+   * 
+   * @param {Object|null} state - NFL state from getNflState
+   * @static
+   * @returns {string} Season year, e.g. "2025"
+   */
+  static leagueSeason(state) {
+    if (state && (state.league_season || state.season)) {
+      return String(state.league_season || state.season);
+    }
+    return String(new Date().getFullYear());
+  }
+
+  /**
+   * Start of the current NFL league year (mid-March, when free agency opens
+   * and rosters turn over). Player data from before it has last year's teams.
+   * 
+   * @param {Object|null} state - NFL state from getNflState
+   * @static
+   * @returns {number} Timestamp of the league year start
+   */
+  static leagueYearStart(state) {
+    const season = Number(SleeperAPI.leagueSeason(state));
+    const start = new Date(season, 2, 15).getTime();
+    // league_season can run ahead of the calendar in the offseason
+    return start > Date.now() ? new Date(season - 1, 2, 15).getTime() : start;
+  }
+
+  /**
+   * Short label for the season and week, e.g. "2025 · Week 3", "2025 Preseason", "2026 Offseason".
+   * 
+   * @param {Object|null} state - NFL state from getNflState
+   * @static
+   * @returns {string} Season label, or an empty string without a state
+   */
+  static formatSeason(state) {
+    if (!state) return '';
+
+    const season = SleeperAPI.leagueSeason(state);
+    const week = state.display_week || state.week;
+    switch (state.season_type) {
+      case 'regular':
+        return week ? `${season} · Week ${week}` : season;
+      case 'pre':
+        return `${season} Preseason`;
+      case 'post':
+        return `${season} Playoffs`;
+      case 'off':
+        return `${season} Offseason`;
+      default:
+        return season;
+    }
+  }
+
+  /**
+   * Read the league id from a league URL (sleeper.com/leagues/{league_id}/predraft).
+   * 
+   * @param {string} [url] - URL to parse, defaults to the current page
+   * @static
+   * @returns {string|null} League id, or null if the URL isn't a league page
+   */
+  static parseLeagueId(url = typeof location !== 'undefined' ? location.href : '') {
+    const match = String(url).match(/\/leagues\/(\d{6,})/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Overall pick number for a round and draft slot.
+   * Snake drafts reverse every other round; a reversal_round (third-round
+   * reversal) flips the direction once more from that round on.
+   * 
+   * @param {number} round - Round, starting at 1
+   * @param {number} slot - Draft slot, starting at 1
+   * @param {number} teams - Number of teams
+   * @param {string} type - Draft type ('snake', 'linear', 'auction')
+   * @param {number} [reversalRound=0] - Round where the order flips again (0 for none)
+   * @static
+   * @returns {number} Overall pick number, starting at 1
+   */
+  static pickNumber(round, slot, teams, type, reversalRound = 0) {
+    let reversed = type === 'snake' && round % 2 === 0;
+    if (type === 'snake' && reversalRound > 0 && round >= reversalRound) {
+      reversed = !reversed;
+    }
+    const pickInRound = reversed ? teams - slot + 1 : slot;
+    return (round - 1) * teams + pickInRound;
+  }
+
+  /**
+   * Summarize a draft for the rest of the extension.
+   * 
+   * @param {Object} draft - Draft object from getDraft
+   * @param {Array} picks - Picks from getDraftPicks
+   * @param {Array} tradedPicks - Traded picks from getDraftTradedPicks
+   * @param {string|null} [userId=null] - The user's Sleeper user id
+   * @static
+   * @returns {Object} { draftId, leagueId, type, status, season, rounds, teams, slotOrder: [{ slot, userId, rosterId }],
+   *   userSlot, userRosterId, userPicks: [{ round, pickNo, fromRosterId }], picksMade, draftedIds }
+   */
+  static summarizeDraft(draft, picks = [], tradedPicks = [], userId = null) {
+    const settings = draft.settings || {};
+    const teams = settings.teams || Object.keys(draft.slot_to_roster_id || {}).length;
+    const rounds = settings.rounds || 0;
+    const draftOrder = draft.draft_order || {};
+    const slotToRoster = draft.slot_to_roster_id || {};
+
+    const userBySlot = {};
+    Object.entries(draftOrder).forEach(([user, slot]) => { userBySlot[slot] = user; });
+
+    const slotOrder = [];
+    for (let slot = 1; slot <= teams; slot++) {
+      slotOrder.push({
+        slot,
+        userId: userBySlot[slot] || null,
+        rosterId: slotToRoster[slot] || null
+      });
+    }
+
+    const userSlot = userId && draftOrder[userId] ? draftOrder[userId] : null;
+    const userRosterId = userSlot ? slotToRoster[userSlot] || null : null;
+
+    // Picks the user owns: their own slot's picks unless traded away, plus picks traded to them
+    const userPicks = [];
+    if (userRosterId && draft.type !== 'auction') {
+      for (let round = 1; round <= rounds; round++) {
+        for (const entry of slotOrder) {
+          const trade = tradedPicks.find(t => t.round === round && t.roster_id === entry.rosterId);
+          const owner = trade ? trade.owner_id : entry.rosterId;
+          if (owner !== userRosterId) continue;
+          userPicks.push({
+            round,
+            pickNo: SleeperAPI.pickNumber(round, entry.slot, teams, draft.type, settings.reversal_round || 0),
+            fromRosterId: entry.rosterId
+          });
+        }
+      }
+      userPicks.sort((a, b) => a.pickNo - b.pickNo);
+    }
+
+    return {
+      draftId: draft.draft_id,
+      leagueId: draft.league_id || null,
+      type: draft.type,
+      status: draft.status,
+      season: draft.season,
+      rounds,
+      teams,
+      slotOrder,
+      userSlot,
+      userRosterId,
+      userPicks,
+      picksMade: picks.length,
+      draftedIds: picks.map(pick => pick.player_id).filter(Boolean)
+    };
+  }
+
+  /**
+   * Summarize a league's format for the rest of the extension.
+   * 
+   * @param {Object} league - League object from getLeague
+   * @param {Array} rosters - Rosters from getLeagueRosters
+   * @param {Array} users - Users from getLeagueUsers
+   * @param {string|null} [userId=null] - The user's Sleeper user id
+   * @static
+   * @returns {Object} { leagueId, name, season, status, draftId, totalRosters, scoring, receptionPoints, superflex,
+   *   tePremium, rosterSlots: [{ position, count }], starterCount, benchCount, rosters, rosteredIds, userRosterId }
+   */
+  static summarizeLeague(league, rosters = [], users = [], userId = null) {
+    const scoringSettings = league.scoring_settings || {};
+    const positions = league.roster_positions || [];
+
+    const receptionPoints = scoringSettings.rec || 0;
+    let scoring;
+    if (receptionPoints === 1) scoring = 'ppr';
+    else if (receptionPoints === 0.5) scoring = 'half';
+    else if (receptionPoints === 0) scoring = 'standard';
+    else scoring = 'custom';
+
+    // Slots keep the league's order; repeated positions are counted once
+    const rosterSlots = [];
+    positions.forEach(position => {
+      const slot = rosterSlots.find(entry => entry.position === position);
+      if (slot) slot.count++;
+      else rosterSlots.push({ position, count: 1 });
+    });
+
+    const reserveSlots = ['BN', 'IR', 'TAXI'];
+    const quarterbacks = positions.filter(position => position === 'QB').length;
+
+    const usersById = new Map(users.map(user => [user.user_id, user]));
+    const leagueRosters = rosters.map(roster => {
+      const owner = usersById.get(roster.owner_id);
+      return {
+        rosterId: roster.roster_id,
+        ownerId: roster.owner_id || null,
+        ownerName: owner ? owner.display_name : null,
+        teamName: owner && owner.metadata && owner.metadata.team_name || null,
+        playerIds: roster.players || [],
+        keeperIds: roster.keepers || []
+      };
+    });
+    const userRoster = userId ? leagueRosters.find(roster => roster.ownerId === userId) : null;
+
+    return {
+      leagueId: league.league_id,
+      name: league.name,
+      season: league.season,
+      status: league.status,
+      draftId: league.draft_id || null,
+      totalRosters: league.total_rosters || rosters.length,
+      scoring,
+      receptionPoints,
+      superflex: positions.includes('SUPER_FLEX') || quarterbacks >= 2,
+      tePremium: scoringSettings.bonus_rec_te || 0,
+      rosterSlots,
+      starterCount: positions.filter(position => !reserveSlots.includes(position)).length,
+      benchCount: positions.filter(position => position === 'BN').length,
+      rosters: leagueRosters,
+      rosteredIds: leagueRosters.flatMap(roster => roster.playerIds),
+      userRosterId: userRoster ? userRoster.rosterId : null
+    };
+  }
+
+  /**
+   * Shared instance used by the static helpers.
+   * 
+   * @static
+   * @returns {SleeperAPI} The singleton instance
+   */
+  static getInstance() {
     // Reuse single instance so the in-memory cache persists across calls
     if (!SleeperAPI._instance) {
       SleeperAPI._instance = new SleeperAPI();
     }
-    return await SleeperAPI._instance.getPlayers(forceRefresh);
+    return SleeperAPI._instance;
+  }
+
+  /**
+   * Replace the shared instance, e.g. with a SleeperAPIClient that forwards
+   * calls to the background worker. The replacement needs the instance
+   * methods callers use (getPlayers, getPlayersCacheInfo, onPlayersRefreshed,
+   * setRefreshPolicy, the draft/league/state/trending getters).
+   * 
+   * @param {Object} instance - SleeperAPI or compatible client
+   * @static
+   * @returns {Object} The instance
+   */
+  static setInstance(instance) {
+    SleeperAPI._instance = instance;
+    return instance;
   }
 }
 
 // Hold a single instance so `this.cache` is preserved between calls
 SleeperAPI._instance = null;
 
+SleeperAPI.defaultBaseURL = 'https://api.sleeper.app/v1';
+
+// Exposed for callers that check error types outside the browser
+SleeperAPI.SleeperAPIError = SleeperAPIError;
+
 // Export for use in other modules
 if (typeof module !== 'undefined') {
   module.exports = SleeperAPI;
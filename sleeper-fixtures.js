@@ -0,0 +1,219 @@
+/**
+ * Sleeper Fixtures
+ *
+ * A small, hand-made snapshot of Sleeper API responses (players, NFL state,
+ * a draft with picks and traded picks, a league with rosters and users,
+ * trending players) and a transport that answers SleeperAPI requests from it.
+ * Used by the "fixture mode" setting to rehearse flows and reproduce bug
+ * reports without reaching api.sleeper.app.
+ *
+ * Any draft or league id is answered with the sample draft or league, so
+ * fixture mode works on whatever draft page is open. Replace `players` (e.g.
+ * with a saved `/players/nfl` response) from the console to test with more data.
+ */
+const SleeperFixtures = (function() {
+  const baseURL = 'fixture://api.sleeper.app/v1';
+
+  const player = function(playerId, firstName, lastName, position, team, extra = {}) {
+    const fullName = `${firstName} ${lastName}`;
+    return {
+      player_id: playerId,
+      first_name: firstName,
+      last_name: lastName,
+      full_name: fullName,
+      search_full_name: fullName.toLowerCase().replace(/[^a-z0-9]/g, ''),
+      position,
+      fantasy_positions: [position],
+      team,
+      status: 'Active',
+      active: true,
+      age: 26,
+      years_exp: 4,
+      search_rank: 100,
+      depth_chart_order: 1,
+      ...extra
+    };
+  };
+
+  const defense = function(code, city, mascot) {
+    return {
+      player_id: code,
+      first_name: city,
+      last_name: mascot,
+      position: 'DEF',
+      fantasy_positions: ['DEF'],
+      team: code,
+      active: true
+    };
+  };
+
+  const playerList = [
+    player('4984', 'Josh', 'Allen', 'QB', 'BUF', { search_rank: 6, years_exp: 7, age: 29 }),
+    player('4046', 'Patrick', 'Mahomes', 'QB', 'KC', { search_rank: 20, years_exp: 8, age: 30 }),
+    player('6904', 'Jalen', 'Hurts', 'QB', 'PHI', { search_rank: 24, years_exp: 5 }),
+    player('4034', 'Christian', 'McCaffrey', 'RB', 'SF', { search_rank: 3, years_exp: 8, age: 29 }),
+    player('9509', 'Bijan', 'Robinson', 'RB', 'ATL', { search_rank: 2, years_exp: 2, age: 23 }),
+    player('8138', 'Breece', 'Hall', 'RB', 'NYJ', { search_rank: 12, years_exp: 3 }),
+    player('4866', 'Saquon', 'Barkley', 'RB', 'PHI', { search_rank: 5, years_exp: 7, age: 28 }),
+    player('6794', 'Justin', 'Jefferson', 'WR', 'MIN', { search_rank: 4, years_exp: 5 }),
+    player('7564', "Ja'Marr", 'Chase', 'WR', 'CIN', { search_rank: 1, years_exp: 4, search_full_name: 'jamarrchase' }),
+    player('6786', 'CeeDee', 'Lamb', 'WR', 'DAL', { search_rank: 7, years_exp: 5 }),
+    player('3321', 'Tyreek', 'Hill', 'WR', 'MIA', { search_rank: 30, years_exp: 9, age: 31 }),
+    player('4039', 'Cooper', 'Kupp', 'WR', 'SEA', { search_rank: 80, years_exp: 8, age: 32 }),
+    player('5872', 'DK', 'Metcalf', 'WR', 'PIT', { search_rank: 40, years_exp: 6 }),
+    player('5045', 'Marquise', 'Brown', 'WR', 'KC', { search_rank: 150, years_exp: 6, depth_chart_order: 2 }),
+    player('5927', 'Mike', 'Williams', 'WR', 'PIT', { search_rank: 300, years_exp: 8, depth_chart_order: 3 }),
+    player('4950', 'Mike', 'Williams', 'WR', null, { status: 'Inactive', active: false, search_rank: 9999999, years_exp: 9 }),
+    player('1466', 'Travis', 'Kelce', 'TE', 'KC', { search_rank: 50, years_exp: 12, age: 36 }),
+    player('8130', 'Trey', 'McBride', 'TE', 'ARI', { search_rank: 25, years_exp: 3 }),
+    player('4988', 'Josh', 'Allen', 'LB', 'JAX', { fantasy_positions: ['LB'], search_rank: 900, years_exp: 7 }),
+    player('11560', 'Ashton', 'Jeanty', 'RB', 'LV', { search_rank: 9, years_exp: 0, age: 21 }),
+    player('4195', 'Harrison', 'Butker', 'K', 'KC', { search_rank: 200, years_exp: 8 }),
+    defense('BUF', 'Buffalo', 'Bills'),
+    defense('SF', 'San Francisco', '49ers'),
+    defense('PHI', 'Philadelphia', 'Eagles')
+  ];
+
+  const players = Object.fromEntries(playerList.map(entry => [entry.player_id, entry]));
+
+  const users = [
+    { user_id: '100000000000000001', username: 'fixtureuser', display_name: 'FixtureUser', metadata: { team_name: 'Rehearsal Squad' } },
+    { user_id: '100000000000000002', username: 'rival2', display_name: 'Rival2', metadata: {} },
+    { user_id: '100000000000000003', username: 'rival3', display_name: 'Rival3', metadata: {} },
+    { user_id: '100000000000000004', username: 'rival4', display_name: 'Rival4', metadata: {} }
+  ];
+
+  const state = {
+    season: '2025',
+    league_season: '2025',
+    season_type: 'pre',
+    week: 0,
+    display_week: 0
+  };
+
+  const league = {
+    league_id: '900000000000000001',
+    name: 'Fixture League',
+    season: '2025',
+    status: 'pre_draft',
+    draft_id: '900000000000000002',
+    total_rosters: 4,
+    roster_positions: ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'SUPER_FLEX', 'K', 'DEF', 'BN', 'BN', 'BN'],
+    scoring_settings: { rec: 0.5, bonus_rec_te: 0.5 }
+  };
+
+  const rosters = users.map((user, index) => ({
+    roster_id: index + 1,
+    owner_id: user.user_id,
+    // One keeper on the first roster
+    players: index === 0 ? ['1466'] : [],
+    keepers: index === 0 ? ['1466'] : []
+  }));
+
+  const draft = {
+    draft_id: '900000000000000002',
+    league_id: league.league_id,
+    type: 'snake',
+    status: 'drafting',
+    season: '2025',
+    settings: { teams: 4, rounds: 13, reversal_round: 0 },
+    draft_order: Object.fromEntries(users.map((user, index) => [user.user_id, index + 1])),
+    slot_to_roster_id: { 1: 1, 2: 2, 3: 3, 4: 4 }
+  };
+
+  const picks = [
+    { round: 1, pick_no: 1, draft_slot: 1, roster_id: 1, picked_by: users[0].user_id, player_id: '7564' },
+    { round: 1, pick_no: 2, draft_slot: 2, roster_id: 2, picked_by: users[1].user_id, player_id: '9509' },
+    { round: 1, pick_no: 3, draft_slot: 3, roster_id: 3, picked_by: users[2].user_id, player_id: '4034' }
+  ];
+
+  const tradedPicks = [
+    { round: 2, roster_id: 4, previous_owner_id: 4, owner_id: 1, season: '2025' }
+  ];
+
+  const trending = {
+    add: [
+      { player_id: '11560', count: 15230 },
+      { player_id: '8130', count: 8120 },
+      { player_id: '5045', count: 2310 }
+    ],
+    drop: [
+      { player_id: '4039', count: 6400 },
+      { player_id: '3321', count: 1200 }
+    ]
+  };
+
+  const routes = [
+    // Read through the exported object so a snapshot set from the console is used
+    [/^\/players\/nfl$/, () => SleeperFixtures.players],
+    [/^\/players\/nfl\/trending\/(add|drop)$/, (match, params) => trending[match[1]].slice(0, parseInt(params.get('limit'), 10) || 25)],
+    [/^\/state\/nfl$/, () => state],
+    [/^\/draft\/(\d+)$/, (match) => ({ ...draft, draft_id: match[1] })],
+    [/^\/draft\/\d+\/picks$/, () => picks],
+    [/^\/draft\/\d+\/traded_picks$/, () => tradedPicks],
+    [/^\/league\/(\d+)$/, (match) => ({ ...league, league_id: match[1] })],
+    [/^\/league\/\d+\/rosters$/, () => rosters],
+    [/^\/league\/\d+\/users$/, () => users],
+    [/^\/user\/[^/]+\/leagues\/nfl\/\d{4}$/, () => [league]],
+    [/^\/user\/([^/]+)$/, (match) => {
+      const key = decodeURIComponent(match[1]).toLowerCase();
+      return users.find(user => user.username === key || user.user_id === key) || null;
+    }]
+  ];
+
+  const respond = function(status, body) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 200 ? 'OK' : 'Not Found',
+      headers: { get: () => null },
+      json: async () => JSON.parse(JSON.stringify(body))
+    };
+  };
+
+  return {
+    /**
+     * Base URL to configure SleeperAPI with in fixture mode.
+     */
+    baseURL,
+
+    players,
+    state,
+    draft,
+    picks,
+    tradedPicks,
+    league,
+    rosters,
+    users,
+    trending,
+
+    /**
+     * SleeperAPI transport answering from the fixtures. Same contract as
+     * fetch: resolves to a response with ok, status, headers and json().
+     *
+     * @param {string} url - Full request URL
+     * @returns {Promise<Object>} Fetch-like response; 404 for unknown endpoints
+     */
+    transport: async function(url) {
+      const parsed = new URL(url);
+      const path = parsed.pathname.replace(/^\/v1/, '');
+
+      for (const [pattern, handler] of routes) {
+        const match = path.match(pattern);
+        if (match) {
+          return respond(200, handler(match, parsed.searchParams));
+        }
+      }
+      return respond(404, { error: `No fixture for ${path}` });
+    }
+  };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined') {
+  module.exports = SleeperFixtures;
+}
+
+if (typeof window !== 'undefined') {
+  window.SleeperFixtures = SleeperFixtures;
+}